@@ -1,5 +1,38 @@
-// API 基礎 URL
-const API_BASE_URL = 'https://api.aijob.com.tw/api';
+// ===== API 環境設定 =====
+// 可切換的後端環境（正式 / 測試 / 本機），選擇結果保存在瀏覽器 localStorage
+const API_ENVIRONMENTS = {
+    production: { label: '正式環境', shortLabel: 'PROD', baseUrl: 'https://api.aijob.com.tw/api', color: '#10b981' },
+    staging: { label: '測試環境', shortLabel: 'STAGING', baseUrl: '', color: '#f59e0b' },
+    local: { label: '本機環境', shortLabel: 'LOCAL', baseUrl: 'http://localhost:8000/api', color: '#8b5cf6' }
+};
+const DEFAULT_API_ENV = 'production';
+const API_ENV_STORAGE_KEY = 'admin_api_env';
+const API_ENV_URLS_STORAGE_KEY = 'admin_api_env_urls';
+
+// 讀取使用者自訂的環境網址（例如測試環境網址）
+function getApiEnvironmentUrlOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(API_ENV_URLS_STORAGE_KEY) || '{}') || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// 取得目前選擇的環境名稱（無效值時回到正式環境）
+function getCurrentApiEnvironment() {
+    const saved = localStorage.getItem(API_ENV_STORAGE_KEY);
+    return API_ENVIRONMENTS[saved] && getApiEnvironmentBaseUrl(saved) ? saved : DEFAULT_API_ENV;
+}
+
+// 取得指定環境的 API 基礎 URL（自訂網址優先）
+function getApiEnvironmentBaseUrl(envName) {
+    const overrides = getApiEnvironmentUrlOverrides();
+    const url = overrides[envName] || API_ENVIRONMENTS[envName]?.baseUrl || '';
+    return url.replace(/\/+$/, '');
+}
+
+// API 基礎 URL（依目前環境決定）
+let API_BASE_URL = getApiEnvironmentBaseUrl(getCurrentApiEnvironment());
 
 // 全域變數
 let charts = {};
@@ -7,53 +40,228 @@ let charts = {};
 // API 請求緩存和去重
 const apiCache = new Map();
 const pendingRequests = new Map();
-const CACHE_DURATION = 30000; // 30秒緩存
+const CACHE_DURATION = 30000; // 30秒緩存（預設）
+
+// 各端點的緩存時間（依 URL 比對，未列出的使用 CACHE_DURATION）
+const CACHE_TTL_RULES = [
+    { pattern: /\/admin\/statistics(\?|$)/, ttl: 60000 },   // 統計數據：1 分鐘
+    { pattern: /\/admin\/orders(\?|$)/, ttl: 120000 },      // 訂單列表：2 分鐘
+    { pattern: /\/admin\/users(\?|$)/, ttl: 60000 },        // 用戶列表：1 分鐘
+    { pattern: /\/admin\/mode-statistics(\?|$)/, ttl: 300000 }, // 模式統計：5 分鐘
+    { pattern: /\/admin\/retention-cohorts(\?|$)/, ttl: 600000 } // 世代留存：10 分鐘
+];
+
+// 過期後仍先顯示舊資料、背景重新驗證的端點（stale-while-revalidate）
+const SWR_ENDPOINT_PATTERNS = [
+    /\/admin\/statistics(\?|$)/,
+    /\/admin\/orders(\?|$)/,
+    /\/admin\/users(\?|$)/
+];
+
+// 持久化緩存（IndexedDB）設定
+const PERSISTENT_CACHE_DB_NAME = 'reelmind-admin-cache';
+const PERSISTENT_CACHE_STORE = 'responses';
+const PERSISTENT_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 離線資料最多保留 7 天
+let persistentCacheDbPromise = null;
+// 手動重新整理或資料變更後，早於此時間的持久化緩存一律視為過期
+let cacheInvalidatedAt = 0;
+
+function getCacheTtl(url) {
+    const rule = CACHE_TTL_RULES.find(r => r.pattern.test(url));
+    return rule ? rule.ttl : CACHE_DURATION;
+}
+
+function isSwrEndpoint(url) {
+    return SWR_ENDPOINT_PATTERNS.some(pattern => pattern.test(url));
+}
+
+// 開啟 IndexedDB（不支援或失敗時回傳 null，不影響正常請求）
+function openPersistentCacheDb() {
+    if (persistentCacheDbPromise) return persistentCacheDbPromise;
+    
+    persistentCacheDbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = indexedDB.open(PERSISTENT_CACHE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PERSISTENT_CACHE_STORE)) {
+                    db.createObjectStore(PERSISTENT_CACHE_STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('開啟持久化緩存失敗:', request.error);
+                resolve(null);
+            };
+        } catch (e) {
+            console.warn('開啟持久化緩存失敗:', e);
+            resolve(null);
+        }
+    });
+    return persistentCacheDbPromise;
+}
+
+async function persistentCacheGet(key) {
+    const db = await openPersistentCacheDb();
+    if (!db) return null;
+    
+    return new Promise(resolve => {
+        try {
+            const request = db.transaction(PERSISTENT_CACHE_STORE, 'readonly').objectStore(PERSISTENT_CACHE_STORE).get(key);
+            request.onsuccess = () => {
+                const entry = request.result;
+                resolve(entry && Date.now() - entry.timestamp < PERSISTENT_CACHE_MAX_AGE ? entry : null);
+            };
+            request.onerror = () => resolve(null);
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+async function persistentCacheSet(key, data, timestamp) {
+    const db = await openPersistentCacheDb();
+    if (!db) return;
+    
+    try {
+        db.transaction(PERSISTENT_CACHE_STORE, 'readwrite').objectStore(PERSISTENT_CACHE_STORE).put({ key, data, timestamp });
+    } catch (e) {
+        console.warn('寫入持久化緩存失敗:', e);
+    }
+}
+
+// 清除持久化緩存（登出或切換環境時使用）
+// 等交易完成才 resolve，之後才能安全地重新載入頁面，否則清除可能被中斷
+async function clearPersistentCache() {
+    const db = await openPersistentCacheDb();
+    if (!db) return;
+    
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction(PERSISTENT_CACHE_STORE, 'readwrite');
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('清除持久化緩存的交易已中止'));
+        tx.objectStore(PERSISTENT_CACHE_STORE).clear();
+    });
+}
+
+// 不需等待結果的呼叫端使用，失敗只記錄警告
+function clearPersistentCacheQuietly() {
+    return clearPersistentCache().catch(error => console.warn('清除持久化緩存失敗:', error));
+}
+
+// 建立與 fetch Response 相同接口的緩存回應
+// cachedAt：資料取得時間；isStale：已過期（背景更新中）；isOffline：後端無法連線時的離線資料
+function createCachedResponse(data, cachedAt, { isStale = false, isOffline = false } = {}) {
+    const cachedResponse = {
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: new Headers({ 'Content-Type': 'application/json' }),
+        json: async () => data,
+        text: async () => JSON.stringify(data),
+        clone: () => cachedResponse,
+        cachedAt,
+        isStale,
+        isOffline
+    };
+    return cachedResponse;
+}
+
+// 判斷是否為「後端無法連線」類型的失敗
+function isBackendUnreachable(errorOrResponse) {
+    if (!errorOrResponse) return false;
+    if (errorOrResponse instanceof Error) {
+        return errorOrResponse.name === 'TypeError';
+    }
+    return [502, 503, 504].includes(errorOrResponse.status);
+}
 
-// 優化的 fetch 函數（帶緩存和去重）
-async function cachedAdminFetch(url, options = {}, useCache = true) {
+// 優化的 fetch 函數（帶緩存、去重與持久化離線緩存）
+// onRevalidate：使用過期資料回應時，背景取得新資料後呼叫（用於重新渲染面板）
+async function cachedAdminFetch(url, options = {}, useCache = true, onRevalidate = null) {
     const cacheKey = `${url}_${JSON.stringify(options)}`;
     const now = Date.now();
+    const ttl = getCacheTtl(url);
     
-    // 檢查緩存
+    // 檢查記憶體緩存
     if (useCache && apiCache.has(cacheKey)) {
         const cached = apiCache.get(cacheKey);
-        if (now - cached.timestamp < CACHE_DURATION) {
+        if (now - cached.timestamp < ttl) {
             console.log(`[Cache Hit] ${url}`);
-            // 返回一個具有相同接口的對象
-            const cachedResponse = {
-                ok: true,
-                status: 200,
-                statusText: 'OK',
-                headers: new Headers({ 'Content-Type': 'application/json' }),
-                json: async () => cached.data,
-                text: async () => JSON.stringify(cached.data),
-                clone: () => cachedResponse
-            };
-            return cachedResponse;
+            return createCachedResponse(cached.data, cached.timestamp);
+        }
+    }
+    
+    // 檢查持久化緩存
+    const persisted = useCache ? await persistentCacheGet(cacheKey) : null;
+    if (persisted) {
+        const isFresh = now - persisted.timestamp < ttl && persisted.timestamp >= cacheInvalidatedAt;
+        if (isFresh) {
+            console.log(`[Persistent Cache Hit] ${url}`);
+            apiCache.set(cacheKey, { data: persisted.data, timestamp: persisted.timestamp });
+            return createCachedResponse(persisted.data, persisted.timestamp);
+        }
+        
+        // 過期但可先顯示：背景重新驗證
+        if (onRevalidate && isSwrEndpoint(url)) {
+            console.log(`[Stale While Revalidate] ${url}`);
+            fetchAndCache(url, options, cacheKey, persisted)
+                .then(response => {
+                    if (response && response.ok && !response.isOffline) {
+                        onRevalidate();
+                    }
+                })
+                .catch(error => console.warn(`背景更新失敗 ${url}:`, error));
+            return createCachedResponse(persisted.data, persisted.timestamp, { isStale: true });
         }
     }
     
+    return fetchAndCache(url, options, cacheKey, useCache ? persisted : null, useCache);
+}
+
+// 發起請求並寫入緩存；後端無法連線時回退到持久化緩存
+function fetchAndCache(url, options, cacheKey, fallbackEntry = null, useCache = true) {
     // 檢查是否有正在進行的相同請求
     if (pendingRequests.has(cacheKey)) {
         console.log(`[Request Dedup] ${url}`);
-        return await pendingRequests.get(cacheKey);
+        return pendingRequests.get(cacheKey);
     }
     
-    // 發起新請求
+    const offlineFallback = () => {
+        console.warn(`[Offline Cache] ${url}`);
+        return createCachedResponse(fallbackEntry.data, fallbackEntry.timestamp, { isOffline: true });
+    };
+    
     const requestPromise = adminFetch(url, options)
         .then(async (response) => {
+            pendingRequests.delete(cacheKey);
             if (response.ok && useCache) {
-                const data = await response.clone().json();
-                apiCache.set(cacheKey, {
-                    data,
-                    timestamp: now
-                });
+                try {
+                    const data = await response.clone().json();
+                    const timestamp = Date.now();
+                    apiCache.set(cacheKey, { data, timestamp });
+                    persistentCacheSet(cacheKey, data, timestamp);
+                    // 回傳可重複讀取的回應（避免去重時多處讀取同一個 body）
+                    return createCachedResponse(data, timestamp);
+                } catch (e) {
+                    return response;
+                }
+            }
+            if (fallbackEntry && isBackendUnreachable(response)) {
+                return offlineFallback();
             }
-            pendingRequests.delete(cacheKey);
             return response;
         })
         .catch(error => {
             pendingRequests.delete(cacheKey);
+            if (fallbackEntry && isBackendUnreachable(error)) {
+                return offlineFallback();
+            }
             throw error;
         });
     
@@ -61,10 +269,59 @@ async function cachedAdminFetch(url, options = {}, useCache = true) {
     return requestPromise;
 }
 
-// 清除緩存
+// 逐頁取得分頁列表的全部資料，用於需要完整資料的統計（後端回應沒有 total_pages 時視為單頁）
+// 回傳 { items, response }，response 為第一頁的回應，用於顯示資料時間
+const FETCH_ALL_PAGE_SIZE = 500;
+
+async function cachedFetchAllPages(url, listKey, onRevalidate = null, useCache = true) {
+    const separator = url.includes('?') ? '&' : '?';
+    const items = [];
+    let firstResponse = null;
+    
+    for (let page = 1; ; page++) {
+        const pageUrl = `${url}${separator}${new URLSearchParams({ page, page_size: FETCH_ALL_PAGE_SIZE })}`;
+        const response = await cachedAdminFetch(pageUrl, {}, useCache, page === 1 ? onRevalidate : null);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        const pageItems = data[listKey] || [];
+        firstResponse = firstResponse || response;
+        items.push(...pageItems);
+        if (pageItems.length === 0 || page >= (data.total_pages || 1)) break;
+    }
+    
+    return { items, response: firstResponse };
+}
+
+// 清除緩存（持久化緩存保留作為離線資料，但視為過期）
 function clearApiCache() {
     apiCache.clear();
     pendingRequests.clear();
+    cacheInvalidatedAt = Date.now();
+}
+
+// 在面板上顯示資料時間（「資料時間」標籤）
+function renderDataAsOf(labelId, anchorEl, response) {
+    if (!anchorEl || !anchorEl.parentNode) return;
+    
+    let label = document.getElementById(labelId);
+    if (!label) {
+        label = document.createElement('div');
+        label.id = labelId;
+        label.className = 'data-as-of';
+        anchorEl.parentNode.insertBefore(label, anchorEl);
+    }
+    
+    const cachedAt = response?.cachedAt || Date.now();
+    let text = `資料時間：${formatTaiwanTime(new Date(cachedAt).toISOString())}`;
+    label.classList.remove('offline', 'stale');
+    if (response?.isOffline) {
+        text += '（⚠️ 後端無法連線，顯示離線資料）';
+        label.classList.add('offline');
+    } else if (response?.isStale) {
+        text += '（更新中...）';
+        label.classList.add('stale');
+    }
+    label.textContent = text;
 }
 
 // 全局函數定義（確保在頁面載入時即可使用）
@@ -178,6 +435,387 @@ function isTokenExpiringSoon(token) {
     }
 }
 
+// ===== Token 自動更新（靜默續期） =====
+let tokenRefreshPromise = null;      // 進行中的更新（其他請求會等待它完成後再送出）
+let tokenRefreshUnsupported = false; // 後端未提供更新端點
+let tokenRefreshFailedAt = 0;        // 最近一次更新失敗時間（避免每次請求都重試）
+const TOKEN_REFRESH_RETRY_INTERVAL = 60000;
+let sessionBannerDismissedToken = null;
+
+// 取得 token 剩餘秒數（無法解析時回傳 null）
+function getTokenRemainingSeconds(token) {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        if (!payload.exp) return null;
+        return payload.exp - Math.floor(Date.now() / 1000);
+    } catch (e) {
+        return null;
+    }
+}
+
+function canRefreshToken() {
+    return !tokenRefreshUnsupported && Date.now() - tokenRefreshFailedAt > TOKEN_REFRESH_RETRY_INTERVAL;
+}
+
+// 向後端換發新的 JWT；同一時間只會有一個更新請求，回傳是否成功
+function refreshAdminToken() {
+    if (tokenRefreshPromise) return tokenRefreshPromise;
+    
+    tokenRefreshPromise = (async () => {
+        const token = getAdminToken();
+        if (!token) return false;
+        
+        try {
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const csrfToken = await getCsrfToken();
+            if (csrfToken) {
+                headers['X-CSRF-Token'] = csrfToken;
+            }
+            
+            const response = await fetch(`${API_BASE_URL}/admin/auth/refresh`, { method: 'POST', headers });
+            
+            // 後端沒有此端點：之後不再嘗試，改為顯示提醒橫幅
+            if ([404, 405, 501].includes(response.status)) {
+                tokenRefreshUnsupported = true;
+                return false;
+            }
+            
+            const data = await response.json().catch(() => ({}));
+            if (response.ok && data.access_token) {
+                setAdminToken(data.access_token);
+                localStorage.setItem('admin_login_time', new Date().toISOString());
+                hideSessionExpiringBanner();
+                applyRolePermissions();
+                console.log('[Token] 已自動更新登入憑證');
+                return true;
+            }
+            
+            tokenRefreshFailedAt = Date.now();
+            return false;
+        } catch (error) {
+            console.warn('更新登入憑證失敗:', error);
+            tokenRefreshFailedAt = Date.now();
+            return false;
+        }
+    })().finally(() => {
+        tokenRefreshPromise = null;
+    });
+    
+    return tokenRefreshPromise;
+}
+
+// Token 即將過期：優先靜默更新，無法更新時顯示提醒橫幅
+function handleTokenExpiringSoon(token) {
+    if (tokenRefreshPromise) return;
+    
+    if (canRefreshToken()) {
+        refreshAdminToken().then(refreshed => {
+            if (!refreshed) {
+                showSessionExpiringBanner();
+            }
+        });
+    } else {
+        showSessionExpiringBanner();
+    }
+}
+
+// 顯示「登入即將到期」橫幅（非阻塞）
+function showSessionExpiringBanner() {
+    const token = getAdminToken();
+    if (!token || sessionBannerDismissedToken === token) return;
+    
+    const remaining = getTokenRemainingSeconds(token);
+    const minutes = remaining === null ? null : Math.max(1, Math.ceil(remaining / 60));
+    const message = minutes === null ? '登入即將到期' : `登入將於約 ${minutes} 分鐘後到期`;
+    
+    let banner = document.getElementById('session-expiring-banner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'session-expiring-banner';
+        banner.className = 'session-banner';
+        banner.innerHTML = `
+            <span class="session-banner-message"></span>
+            <button type="button" class="session-banner-extend" onclick="extendAdminSession()">延長登入</button>
+            <button type="button" class="session-banner-close" onclick="dismissSessionExpiringBanner()" title="關閉">×</button>
+        `;
+        document.body.appendChild(banner);
+    }
+    banner.querySelector('.session-banner-message').textContent = `⏰ ${message}，未儲存的操作可能會中斷`;
+}
+
+function hideSessionExpiringBanner() {
+    const banner = document.getElementById('session-expiring-banner');
+    if (banner) banner.remove();
+}
+
+function dismissSessionExpiringBanner() {
+    sessionBannerDismissedToken = getAdminToken();
+    hideSessionExpiringBanner();
+}
+
+// 「延長登入」：先嘗試更新 token，不支援時開啟登入視窗（登入後不重新載入頁面）
+async function extendAdminSession() {
+    if (!tokenRefreshUnsupported) {
+        tokenRefreshFailedAt = 0;
+        const refreshed = await refreshAdminToken();
+        if (refreshed) {
+            showToast('已延長登入時間', 'success');
+            return;
+        }
+    }
+    showLoginRequired('請重新登入以延長工作階段', { keepPage: true });
+}
+
+// ===== 管理員角色與權限 =====
+// 角色由 JWT 的 role 欄位決定；後端仍會再次檢查，前端僅負責隱藏無權限的操作
+const ADMIN_ROLES = {
+    viewer: { label: '檢視者', description: '僅能查看資料', permissions: [] },
+    support: { label: '客服', description: '管理訂閱、用量、LLM Key 與內容', permissions: ['subscription.manage', 'usage.adjust', 'llm_key.manage', 'content.delete'] },
+    finance: { label: '財務', description: '管理訂閱、訂單與授權記錄', permissions: ['subscription.manage', 'orders.delete', 'orders.refund', 'licenses.delete', 'licenses.issue'] },
+    superadmin: { label: '超級管理員', description: '所有權限，包含管理員帳號管理', permissions: ['*'] }
+};
+
+const ADMIN_PERMISSIONS = [
+    'subscription.manage',
+    'usage.adjust',
+    'llm_key.manage',
+    'content.delete',
+    'orders.delete',
+    'orders.refund',
+    'licenses.delete',
+    'licenses.issue',
+    'admins.manage'
+];
+
+// 讀取 token 的角色欄位（沒有或無法解析時回傳空字串）
+function getTokenRole(token) {
+    if (!token) return '';
+    
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.role || payload.admin_role || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+// 目前登入管理員的角色
+// 沒有 role 欄位（角色功能上線前簽發）或無法辨識的角色一律視為檢視者，避免權限判斷失效時放行
+function getCurrentAdminRole() {
+    const role = getTokenRole(getAdminToken());
+    return ADMIN_ROLES[role] ? role : 'viewer';
+}
+
+// 舊 token 沒有角色：先嘗試換發，仍沒有角色時要求重新登入
+async function ensureTokenHasRole() {
+    if (getTokenRole(getAdminToken())) return;
+    
+    if (canRefreshToken()) {
+        await refreshAdminToken();
+        if (getTokenRole(getAdminToken())) return;
+    }
+    showLoginRequired('登入憑證缺少角色資訊，目前僅能檢視資料，請重新登入', { keepPage: true });
+}
+
+function hasPermission(permission) {
+    const permissions = ADMIN_ROLES[getCurrentAdminRole()].permissions;
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+// 操作前檢查權限，沒有權限時提示並回傳 false
+function requirePermission(permission) {
+    if (hasPermission(permission)) return true;
+    showToast(`⛔ 權限不足：目前角色「${ADMIN_ROLES[getCurrentAdminRole()].label}」無法執行此操作`, 'error');
+    return false;
+}
+
+// 依角色在 body 加上 perm-denied-* class，由 CSS 隱藏帶有對應 data-permission 的按鈕
+function applyRolePermissions() {
+    const role = getCurrentAdminRole();
+    document.body.dataset.adminRole = role;
+    ADMIN_PERMISSIONS.forEach(permission => {
+        document.body.classList.toggle(`perm-denied-${permission.replace('.', '-')}`, !hasPermission(permission));
+    });
+    
+    const roleEl = document.getElementById('current-admin-role');
+    if (roleEl) {
+        roleEl.textContent = ADMIN_ROLES[role].label;
+    }
+}
+
+function createPermissionError(message) {
+    const error = new Error(message);
+    error.name = 'PermissionError';
+    return error;
+}
+
+// 已經處理過（已提示或不需提示）的請求錯誤：被取消的請求、權限不足
+function isHandledRequestError(error) {
+    return isAbortError(error) || (!!error && error.name === 'PermissionError');
+}
+
+// ===== 請求取消與未完成操作保留 =====
+// 讀取請求綁定目前區塊的 AbortController，切換區塊或強制登出時取消
+let sectionAbortController = new AbortController();
+
+function abortSectionRequests() {
+    sectionAbortController.abort();
+    sectionAbortController = new AbortController();
+}
+
+// 被取消的舊請求不需要顯示錯誤提示
+function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+}
+
+// 被 401 中斷時保留、重新登入後可重新送出的操作（保存在 sessionStorage，關閉分頁即清除）
+// 請求內容會以明文保存，含密鑰的操作（如設定 LLM Key）不可列入，需由管理員重新輸入
+const PENDING_MUTATIONS_STORAGE_KEY = 'admin_pending_mutations';
+const REPLAYABLE_MUTATIONS = [
+    { pattern: /\/admin\/users\/([^/?]+)\/subscription$/, methods: ['PUT'], label: '訂閱變更' },
+    { pattern: /\/admin\/users\/([^/?]+)\/usage\/adjust$/, methods: ['PUT'], label: '用量調整' }
+];
+
+function getPendingMutations() {
+    try {
+        return JSON.parse(sessionStorage.getItem(PENDING_MUTATIONS_STORAGE_KEY) || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+function savePendingMutations(mutations) {
+    if (mutations.length) {
+        sessionStorage.setItem(PENDING_MUTATIONS_STORAGE_KEY, JSON.stringify(mutations));
+    } else {
+        sessionStorage.removeItem(PENDING_MUTATIONS_STORAGE_KEY);
+    }
+}
+
+// 保留被中斷的操作，回傳操作名稱（不在保留清單內則回傳 null）
+function holdInterruptedMutation(url, options, method) {
+    const rule = REPLAYABLE_MUTATIONS.find(r => r.methods.includes(method) && r.pattern.test(url));
+    if (!rule) return null;
+    
+    const mutations = getPendingMutations();
+    mutations.push({
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        label: rule.label,
+        userId: url.match(rule.pattern)[1],
+        url,
+        method,
+        contentType: options.headers?.['Content-Type'] || 'application/json',
+        body: typeof options.body === 'string' ? options.body : null,
+        heldAt: new Date().toISOString()
+    });
+    savePendingMutations(mutations);
+    return rule.label;
+}
+
+// 登入後提示重新送出被中斷的操作
+function showPendingMutationsPrompt() {
+    if (!getPendingMutations().length) return;
+    
+    showUserDetailModal(`
+        <div style="padding: 20px;">
+            <h2 style="margin: 0 0 8px 0; color: #1f2937;">⏸️ 有未完成的操作</h2>
+            <p style="margin: 0 0 16px 0; color: #6b7280; font-size: 14px;">以下操作因登入失效而中斷，請確認後重新送出或捨棄。</p>
+            <div id="pending-mutations-list"></div>
+            <div style="margin-top: 16px; display: flex; gap: 8px; justify-content: flex-end;">
+                <button type="button" class="btn-action btn-danger" onclick="discardAllPendingMutations()">全部捨棄</button>
+                <button type="button" class="btn-action btn-view" onclick="replayAllPendingMutations()">全部重新送出</button>
+            </div>
+        </div>
+    `);
+    renderPendingMutationsList();
+}
+
+function renderPendingMutationsList() {
+    const container = document.getElementById('pending-mutations-list');
+    if (!container) return;
+    
+    const mutations = getPendingMutations();
+    if (!mutations.length) {
+        container.innerHTML = '<p style="color: #10b981; margin: 0;">✅ 所有操作已處理完畢</p>';
+        return;
+    }
+    
+    container.innerHTML = mutations.map(m => `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 12px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 8px;">
+            <div style="min-width: 0;">
+                <div style="font-weight: 600; color: #1f2937;">${escapeHtml(m.label)}</div>
+                <div style="font-size: 12px; color: #6b7280; word-break: break-all;">用戶：${escapeHtml(m.userId)} ・ 中斷時間：${formatTaiwanTime(m.heldAt)}</div>
+            </div>
+            <div style="display: flex; gap: 6px; flex-shrink: 0;">
+                <button type="button" class="btn-action btn-view" onclick="replayPendingMutation('${m.id}')">重新送出</button>
+                <button type="button" class="btn-action btn-danger" onclick="discardPendingMutation('${m.id}')">捨棄</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// 重新送出單一被中斷的操作，回傳是否成功
+async function replayPendingMutation(id, { silent = false } = {}) {
+    const mutation = getPendingMutations().find(m => m.id === id);
+    if (!mutation) return false;
+    
+    try {
+        const response = await adminFetch(mutation.url, {
+            method: mutation.method,
+            headers: { 'Content-Type': mutation.contentType },
+            body: mutation.body
+        });
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || data.detail || `HTTP ${response.status}`);
+        }
+        
+        savePendingMutations(getPendingMutations().filter(m => m.id !== id));
+        if (!silent) {
+            showToast(`${mutation.label}已重新送出`, 'success');
+            refreshData();
+        }
+        return true;
+    } catch (error) {
+        console.error('重新送出操作失敗:', error);
+        if (!silent) {
+            showToast(`${mutation.label}重新送出失敗：${error.message}`, 'error');
+        }
+        return false;
+    } finally {
+        renderPendingMutationsList();
+    }
+}
+
+async function replayAllPendingMutations() {
+    const mutations = getPendingMutations();
+    let successCount = 0;
+    for (const mutation of mutations) {
+        if (await replayPendingMutation(mutation.id, { silent: true })) {
+            successCount++;
+        }
+    }
+    
+    const failedCount = mutations.length - successCount;
+    showToast(
+        failedCount ? `已重新送出 ${successCount} 項，${failedCount} 項失敗` : `已重新送出 ${successCount} 項操作`,
+        failedCount ? 'error' : 'success'
+    );
+    refreshData();
+}
+
+function discardPendingMutation(id) {
+    savePendingMutations(getPendingMutations().filter(m => m.id !== id));
+    renderPendingMutationsList();
+}
+
+function discardAllPendingMutations() {
+    if (!confirm('確定要捨棄所有未完成的操作嗎？')) return;
+    savePendingMutations([]);
+    renderPendingMutationsList();
+}
+
 // 登出功能
 function logout() {
     if (confirm('確定要登出嗎？')) {
@@ -188,6 +826,10 @@ function logout() {
         localStorage.removeItem('admin_token');
         localStorage.removeItem('admin_login_time');
         
+        // 清除緩存（包含離線資料，避免下一位登入者看到）
+        clearApiCache();
+        clearPersistentCacheQuietly();
+        
         // 顯示登入提示
         showLoginRequired('已登出');
         
@@ -204,22 +846,34 @@ function forceLogout(reason = '登入已過期，請重新登入') {
     localStorage.removeItem('admin_token');
     localStorage.removeItem('admin_login_time');
     
+    // 清除緩存（包含離線資料），下一位登入者可能是權限較低的角色
+    clearApiCache();
+    clearPersistentCacheQuietly();
+    
+    hideSessionExpiringBanner();
+    
     // 顯示登入提示，並顯示過期訊息
     showLoginRequired(reason);
     
-    // 停止所有正在進行的請求（可選）
-    // 可以實作一個請求取消機制
+    // 取消目前區塊所有進行中的載入請求
+    abortSectionRequests();
 }
 
 // 統一的 fetch 函數，自動帶上 Authorization header 和 CSRF Token
-async function adminFetch(url, options = {}) {
+async function adminFetch(url, options = {}, isReplay = false) {
     // 使用統一的 token 狀態檢查
     if (!checkTokenStatus()) {
         // checkTokenStatus 已經處理了顯示登入視窗的邏輯
         throw new Error('需要登入');
     }
     
+    // Token 更新中：等待更新完成後再以新 token 送出
+    if (tokenRefreshPromise) {
+        await tokenRefreshPromise;
+    }
+    
     const token = getAdminToken();
+    const originalUrl = url;
     
     // 確保 URL 是完整的（如果不是，則使用 API_BASE_URL）
     let fullUrl = url;
@@ -249,8 +903,12 @@ async function adminFetch(url, options = {}) {
         }
     }
     
+    // 讀取請求綁定目前區塊，切換區塊時取消（已指定 signal 的請求除外）
+    const isMutation = ['POST', 'PUT', 'DELETE', 'PATCH'].includes(method);
+    const signal = options.signal || (isMutation ? undefined : sectionAbortController.signal);
+    
     try {
-        const response = await fetch(fullUrl, { ...options, headers });
+        const response = await fetch(fullUrl, { ...options, headers, signal });
         
         // 處理 403 錯誤（可能是 CSRF Token 驗證失敗）
         if (response.status === 403) {
@@ -278,8 +936,32 @@ async function adminFetch(url, options = {}) {
             }
         }
         
-        // 如果收到 401 或 403，清除 token 並顯示登入提示
-        if (response.status === 401 || response.status === 403) {
+        // 401：先嘗試更新 token 並重送一次，失敗才要求重新登入
+        if (response.status === 401 && !isReplay && canRefreshToken()) {
+            const refreshed = await refreshAdminToken();
+            if (refreshed) {
+                return adminFetch(originalUrl, options, true);
+            }
+        }
+        
+        // 403：權限不足（CSRF 問題已在上方重試），提示但不登出
+        if (response.status === 403) {
+            let errorMessage = '權限不足，無法執行此操作';
+            try {
+                const errorData = await response.clone().json();
+                if (errorData.detail || errorData.error) {
+                    errorMessage = errorData.detail || errorData.error;
+                }
+            } catch (e) {
+                // 如果無法解析 JSON，使用預設訊息
+            }
+            
+            showToast(`⛔ ${errorMessage}`, 'error');
+            throw createPermissionError(errorMessage);
+        }
+        
+        // 如果收到 401，清除 token 並顯示登入提示
+        if (response.status === 401) {
             let errorMessage = '認證失敗，請重新登入';
             
             // 嘗試從回應中獲取錯誤訊息
@@ -292,10 +974,21 @@ async function adminFetch(url, options = {}) {
                 // 如果無法解析 JSON，使用預設訊息
             }
             
+            // 保留被中斷的資料變更，重新登入後可重新送出
+            const heldLabel = isMutation ? holdInterruptedMutation(originalUrl, options, method) : null;
+            if (heldLabel) {
+                errorMessage += `（「${heldLabel}」已保留，重新登入後可重新送出）`;
+            }
+            
             forceLogout(errorMessage);
             throw new Error(errorMessage);
         }
         
+        // 資料變更成功後，讓列表與統計的緩存失效
+        if (response.ok && isMutation) {
+            clearApiCache();
+        }
+        
         return response;
     } catch (error) {
         // 如果是網路錯誤，不要清除 token（可能是暫時的網路問題）
@@ -309,7 +1002,8 @@ async function adminFetch(url, options = {}) {
 }
 
 // 顯示登入提示
-function showLoginRequired(message = '請選擇登入方式') {
+// options.keepPage：登入成功後不重新載入頁面（用於延長登入）
+function showLoginRequired(message = '請選擇登入方式', options = {}) {
     // 檢查是否已經顯示登入提示
     if (document.getElementById('login-required-modal')) {
         // 如果已經顯示，更新訊息
@@ -418,11 +1112,10 @@ function showLoginRequired(message = '請選擇登入方式') {
     
     // Google 登入按鈕
     document.getElementById('admin-login-btn').onclick = function() {
-        // 使用與主前端相同的 Google OAuth 流程
-        const backendUrl = 'https://api.aijob.com.tw';
+        // 使用與主前端相同的 Google OAuth 流程（依目前 API 環境）
         // 使用當前頁面作為 redirect_uri，並在 URL 參數中標記為 admin
         const redirectUri = encodeURIComponent(window.location.origin + window.location.pathname + '?admin_login=true');
-        const authUrl = `${backendUrl}/api/auth/google?redirect_uri=${redirectUri}`;
+        const authUrl = `${API_BASE_URL}/auth/google?redirect_uri=${redirectUri}`;
         
         // 直接跳轉到 Google OAuth 頁面
         window.location.href = authUrl;
@@ -455,7 +1148,7 @@ function showLoginRequired(message = '請選擇登入方式') {
         }
         
         try {
-            const response = await fetch('https://api.aijob.com.tw/api/admin/auth/login', {
+            const response = await fetch(`${API_BASE_URL}/admin/auth/login`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -465,7 +1158,10 @@ function showLoginRequired(message = '請選擇登入方式') {
             
             const data = await response.json();
             
-            if (response.ok && data.access_token) {
+            if (response.ok && data.access_token && !getTokenRole(data.access_token)) {
+                errorDiv.textContent = '登入憑證缺少角色資訊，請聯絡系統管理員';
+                errorDiv.style.display = 'block';
+            } else if (response.ok && data.access_token) {
                 setAdminToken(data.access_token);
                 // 保存登入時間
                 localStorage.setItem('admin_login_time', new Date().toISOString());
@@ -476,7 +1172,14 @@ function showLoginRequired(message = '請選擇登入方式') {
                     console.warn('預先獲取 CSRF Token 失敗:', e);
                 }
                 modal.remove();
-                location.reload();
+                if (options.keepPage) {
+                    hideSessionExpiringBanner();
+                    applyRolePermissions();
+                    showToast('已重新登入', 'success');
+                    showPendingMutationsPrompt();
+                } else {
+                    location.reload();
+                }
             } else {
                 errorDiv.textContent = data.error || '登入失敗，請檢查帳號密碼';
                 errorDiv.style.display = 'block';
@@ -530,6 +1233,8 @@ async function checkAdminAuth() {
         // checkTokenStatus 已經處理了顯示登入視窗的邏輯
         return;
     }
+    
+    await ensureTokenHasRole();
 }
 
 // 定期檢查 token 狀態（每 30 秒檢查一次，更快檢測過期）
@@ -552,9 +1257,8 @@ function checkTokenStatus() {
             forceLogout('登入已過期，請重新登入');
             return false;
         } else if (isTokenExpiringSoon(token)) {
-            // Token 即將過期，可以顯示一個非阻塞的提醒
-            // 這裡選擇不顯示，避免干擾用戶操作
-            // 如果需要，可以在這裡顯示一個頂部橫幅提醒
+            // Token 即將過期：靜默更新，無法更新時顯示頂部橫幅提醒
+            handleTokenExpiringSoon(token);
         }
         return true;
     } else {
@@ -627,8 +1331,17 @@ function showLoadingOverlay() {
 document.addEventListener('DOMContentLoaded', async function() {
     const startTime = performance.now();
     
+    // 網址帶有路由時，先還原篩選條件與頁碼（需在恢復標籤頁狀態前）
+    const initialRoute = parseRouteHash(location.hash);
+    if (initialRoute?.tab) {
+        applyTabRouteParams(initialRoute.tab, initialRoute.params);
+    }
+    
     // 優先顯示 UI 框架（導航、時間等）
     initializeNavigation();
+    initializeRouter();
+    renderApiEnvironmentBadge();
+    applyRolePermissions();
     updateTime();
     setInterval(updateTime, 1000);
     
@@ -638,6 +1351,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         setTimeout(() => {
             startTokenMonitor();
             startActivityMonitor();
+            startApprovalMonitor();
         }, 1000);
         
         // 檢查 token 狀態
@@ -647,6 +1361,16 @@ document.addEventListener('DOMContentLoaded', async function() {
             return;
         }
         
+        // 提示重新送出登入失效前被中斷的操作
+        showPendingMutationsPrompt();
+        
+        // 還原網址指定的區塊、標籤頁與詳情視窗
+        if (initialRoute) {
+            applyRoute(initialRoute);
+        }
+        routerReady = true;
+        updateRouteHash();
+        
         // 已登入，延遲載入數據（讓 UI 先顯示）
         setTimeout(async () => {
             try {
@@ -703,11 +1427,211 @@ document.addEventListener('DOMContentLoaded', async function() {
     });
 });
 
-// 導航控制
-function initializeNavigation() {
-    const navItems = document.querySelectorAll('.nav-item');
-    navItems.forEach(item => {
-        item.addEventListener('click', function(e) {
+// ===== 網址路由 =====
+// 網址格式：#/區塊/標籤頁?篩選條件&page=頁碼&modal=詳情視窗
+// 切換區塊、標籤頁與開啟詳情會新增瀏覽紀錄（支援上一頁/下一頁）；篩選與換頁只更新目前紀錄
+const ROUTE_TAB_FILTERS = {
+    'orders-list': {
+        search: 'order-search',
+        status: 'order-filter-status',
+        plan: 'order-filter-plan',
+        method: 'order-filter-method',
+        date_field: 'order-filter-date-field',
+        from: 'order-filter-date-from',
+        to: 'order-filter-date-to',
+        min: 'order-filter-amount-min',
+        max: 'order-filter-amount-max'
+    },
+    'conversations-list': { type: 'conversation-filter' },
+    'ip-planning-list': { type: 'ip-planning-filter-type' },
+    'licenses-list': { status: 'activation-filter-status', channel: 'activation-filter-channel' },
+    'license-batches': { channel: 'license-batch-filter-channel' },
+    'revenue-analytics': { months: 'revenue-filter-months' },
+    'conversion-funnel': { from: 'funnel-filter-date-from', to: 'funnel-filter-date-to', group: 'funnel-breakdown' },
+    'subscription-renewals': { days: 'renewal-filter-days', plan: 'renewal-filter-plan', risk: 'renewal-filter-risk' },
+    'quota-monitor': { threshold: 'quota-filter-threshold', type: 'quota-filter-type', plan: 'quota-filter-plan', upsell: 'quota-filter-upsell' },
+    'audit-logs': { admin: 'audit-filter-admin', action: 'audit-filter-action', from: 'audit-filter-date-from', to: 'audit-filter-date-to' },
+    'approvals': { status: 'approval-filter-status', scope: 'approval-filter-scope' }
+};
+
+const ROUTE_TAB_PAGES = {
+    'orders-list': {
+        get: () => currentOrdersPage,
+        set: page => { currentOrdersPage = page; }
+    },
+    'conversations-list': {
+        get: () => currentConversationPage,
+        set: page => { currentConversationPage = page; }
+    }
+};
+
+let routerReady = false;     // 初始路由套用前不改寫網址，避免初始化時蓋掉分享連結
+let isApplyingRoute = false; // 依網址切換畫面時不再回寫網址
+let routeModal = null;       // 目前開啟的可分享詳情視窗，如 user:<用戶ID>、conversation:<用戶ID>:<對話類型>
+let routeModalPushed = false;
+let routeModalCloser = null;
+
+function parseRouteHash(hash) {
+    const match = (hash || '').match(/^#\/([\w-]+)(?:\/([\w-]+))?(?:\?(.*))?$/);
+    if (!match) return null;
+    const sectionEl = document.getElementById(match[1]);
+    if (!sectionEl || !sectionEl.classList.contains('section')) return null;
+    const tab = match[2] && sectionEl.querySelector(`.tab-btn[data-tab="${match[2]}"]`) ? match[2] : null;
+    return { section: match[1], tab, params: new URLSearchParams(match[3] || '') };
+}
+
+// 篩選欄位的預設值（與預設值相同時不寫入網址）
+function getDefaultFieldValue(el) {
+    if (el.tagName === 'SELECT') {
+        const defaultOption = [...el.options].find(option => option.defaultSelected) || el.options[0];
+        return defaultOption ? defaultOption.value : '';
+    }
+    return el.defaultValue || '';
+}
+
+function getTabRouteParams(tab) {
+    if (tab === 'users-list') return getUsersRouteParams(currentUsersPage);
+    
+    const params = new URLSearchParams();
+    Object.entries(ROUTE_TAB_FILTERS[tab] || {}).forEach(([name, id]) => {
+        const el = document.getElementById(id);
+        if (el && el.value !== getDefaultFieldValue(el)) params.set(name, el.value);
+    });
+    const page = ROUTE_TAB_PAGES[tab]?.get();
+    if (page > 1) params.set('page', page);
+    return params;
+}
+
+function applyTabRouteParams(tab, params) {
+    if (tab === 'users-list') {
+        applyUsersRouteParams(params);
+        return;
+    }
+    
+    Object.entries(ROUTE_TAB_FILTERS[tab] || {}).forEach(([name, id]) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        const value = params.has(name) ? params.get(name) : getDefaultFieldValue(el);
+        // 選項由資料動態產生的下拉選單，先補上選項才能保留網址中的值
+        if (el.tagName === 'SELECT' && value && ![...el.options].some(option => option.value === value)) {
+            el.add(new Option(value, value));
+        }
+        el.value = value;
+    });
+    ROUTE_TAB_PAGES[tab]?.set(Math.max(1, parseInt(params.get('page')) || 1));
+}
+
+function buildCurrentRouteHash() {
+    const section = document.querySelector('.section.active')?.id || 'dashboard';
+    const tab = document.querySelector(`#${section} .tabs-container .tab-btn.active`)?.getAttribute('data-tab') || null;
+    const params = tab ? getTabRouteParams(tab) : new URLSearchParams();
+    if (routeModal) params.set('modal', routeModal);
+    
+    const path = `#/${section}${tab ? `/${tab}` : ''}`;
+    const query = params.toString();
+    return query ? `${path}?${query}` : path;
+}
+
+// 依目前畫面更新網址；push 為 true 時新增一筆瀏覽紀錄
+function updateRouteHash(push = false) {
+    if (!routerReady || isApplyingRoute) return;
+    const hash = buildCurrentRouteHash();
+    if (location.hash === hash) return;
+    history[push ? 'pushState' : 'replaceState'](null, '', `${location.pathname}${location.search}${hash}`);
+}
+
+// 依網址切換區塊、標籤頁、篩選條件與詳情視窗
+function applyRoute(route) {
+    isApplyingRoute = true;
+    try {
+        const activeSection = document.querySelector('.section.active')?.id;
+        const activeTab = document.querySelector(`#${route.section} .tabs-container .tab-btn.active`)?.getAttribute('data-tab');
+        const normalize = params => [...params].filter(([key]) => key !== 'modal').map(([key, value]) => `${key}=${value}`).sort().join('&');
+        const paramsChanged = route.tab && normalize(getTabRouteParams(route.tab)) !== normalize(route.params);
+        
+        if (route.tab) {
+            applyTabRouteParams(route.tab, route.params);
+        }
+        if (route.section !== activeSection || (route.tab && route.tab !== activeTab)) {
+            switchSection(route.section, route.tab);
+        } else if (paramsChanged) {
+            loadTabData(route.tab);
+        }
+        applyRouteModal(route.params.get('modal'));
+    } finally {
+        isApplyingRoute = false;
+    }
+}
+
+function applyRouteModal(value) {
+    value = value || null;
+    if (value === routeModal) return;
+    
+    if (routeModalCloser) routeModalCloser();
+    routeModal = null;
+    routeModalCloser = null;
+    routeModalPushed = false;
+    if (!value) return;
+    
+    const [kind, ...rest] = value.split(':');
+    if (kind === 'user' && rest.length) {
+        viewUser(rest.join(':'));
+    } else if (kind === 'conversation' && rest.length >= 2) {
+        const conversationType = rest.pop();
+        viewConversation(rest.join(':'), conversationType);
+    }
+}
+
+// 開啟詳情視窗時記錄到網址；已有詳情視窗開啟時（例如從用戶詳情開啟對話）取代目前紀錄
+function openRouteModal(key) {
+    const replace = routeModal !== null;
+    routeModal = key;
+    routeModalCloser = null;
+    if (!routerReady || isApplyingRoute) return;
+    if (!replace) routeModalPushed = true;
+    updateRouteHash(!replace);
+}
+
+function registerRouteModalCloser(key, close) {
+    if (routeModal === key) routeModalCloser = close;
+}
+
+// 由畫面關閉詳情視窗：若開啟時新增過瀏覽紀錄就返回上一筆，讓上一頁/下一頁保持一致
+function closeRouteModal(key) {
+    if (!key || routeModal !== key) return;
+    routeModal = null;
+    routeModalCloser = null;
+    if (routeModalPushed) {
+        routeModalPushed = false;
+        history.back();
+    } else {
+        updateRouteHash();
+    }
+}
+
+function initializeRouter() {
+    window.addEventListener('hashchange', () => {
+        if (!routerReady || location.hash === buildCurrentRouteHash()) return;
+        const route = parseRouteHash(location.hash);
+        if (route && checkTokenStatus()) {
+            applyRoute(route);
+        }
+    });
+    
+    // 篩選欄位變更時更新網址（各欄位本身的 onchange 會負責重新載入）
+    document.addEventListener('change', function(e) {
+        const tab = e.target.closest('.tab-panel')?.id?.replace(/^tab-/, '');
+        if (tab && ROUTE_TAB_FILTERS[tab] && Object.values(ROUTE_TAB_FILTERS[tab]).includes(e.target.id)) {
+            updateRouteHash();
+        }
+    });
+}
+
+// 導航控制
+function initializeNavigation() {
+    const navItems = document.querySelectorAll('.nav-item');
+    navItems.forEach(item => {
+        item.addEventListener('click', function(e) {
             e.preventDefault();
             const section = this.getAttribute('data-section');
             switchSection(section);
@@ -773,13 +1697,14 @@ function switchTab(tabsContainer, tabId) {
     if (sectionId) {
         localStorage.setItem(`tab-${sectionId}`, tabId);
     }
+    updateRouteHash(true);
 }
 
 // 載入標籤頁數據
 function loadTabData(tabId) {
     switch(tabId) {
         case 'users-list':
-            loadUsers();
+            loadUsers(currentUsersPage);
             break;
         case 'conversations-list':
             loadConversations();
@@ -801,9 +1726,23 @@ function loadTabData(tabId) {
             break;
         case 'licenses-list':
             loadLicenseActivations();
+            loadLicenseAnomalies();
+            break;
+        case 'license-batches':
+            loadLicenseBatches();
+            break;
+        case 'revenue-analytics':
+            loadRevenueAnalytics();
+            break;
+        case 'conversion-funnel':
+            loadConversionFunnel();
+            break;
+        case 'subscription-renewals':
+            loadSubscriptionRenewals();
             break;
         case 'cleanup-logs':
             loadOrderCleanupLogs();
+            loadOrderCleanupPolicy();
             break;
         case 'analytics':
             loadAnalytics();
@@ -811,12 +1750,21 @@ function loadTabData(tabId) {
         case 'usage-stats':
             loadUsageStatistics();
             break;
+        case 'quota-monitor':
+            loadQuotaMonitor();
+            break;
         case 'llm-keys':
             loadLlmKeysStatus();
             break;
         case 'modes-analysis':
             loadModes();
             break;
+        case 'audit-logs':
+            loadAuditLogs();
+            break;
+        case 'approvals':
+            loadApprovals();
+            break;
     }
 }
 
@@ -911,6 +1859,9 @@ function switchSection(section, tabId = null) {
         return;
     }
     
+    // 取消上一個區塊尚未完成的載入
+    abortSectionRequests();
+    
     // 更新導航狀態
     document.querySelectorAll('.nav-item').forEach(item => {
         item.classList.remove('active');
@@ -967,6 +1918,7 @@ function switchSection(section, tabId = null) {
         // 載入對應數據
         loadSectionData(section);
     }
+    updateRouteHash(true);
 }
 
 // 切換到指定區塊和標籤頁（供快速操作使用）
@@ -989,10 +1941,10 @@ function loadSectionData(section) {
                     if (firstTab && !firstTab.classList.contains('active')) {
                         switchTab(tabsContainer, 'users-list');
                     } else {
-                        loadUsers();
+                        loadUsers(currentUsersPage);
                     }
                 } else {
-                    loadUsers();
+                    loadUsers(currentUsersPage);
                 }
             }, 100);
             break;
@@ -1026,9 +1978,11 @@ function loadSectionData(section) {
                         switchTab(tabsContainer, 'cleanup-logs');
                     } else {
                         loadOrderCleanupLogs();
+                        loadOrderCleanupPolicy();
                     }
                 } else {
                     loadOrderCleanupLogs();
+                    loadOrderCleanupPolicy();
                 }
             }, 100);
             break;
@@ -1148,9 +2102,11 @@ function showToast(message, type = 'info') {
 async function loadDashboardCore() {
     try {
         // 只載入統計數據（關鍵數據，使用緩存）
-        const statsResponse = await cachedAdminFetch(`${API_BASE_URL}/admin/statistics`, {}, true);
+        const statsResponse = await cachedAdminFetch(`${API_BASE_URL}/admin/statistics`, {}, true, () => loadDashboardCore());
         const stats = await statsResponse.json();
         
+        renderDataAsOf('dashboard-data-as-of', document.querySelector('#dashboard .dashboard-metrics'), statsResponse);
+        
         // 更新儀表板核心指標（添加空值檢查）
         const dashboardUsersEl = document.getElementById('dashboard-total-users');
         const dashboardConversationsEl = document.getElementById('dashboard-total-conversations');
@@ -1182,9 +2138,7 @@ async function loadDashboardCore() {
             // 延遲載入訂單數據
             setTimeout(async () => {
                 try {
-                    const ordersResponse = await cachedAdminFetch(`${API_BASE_URL}/admin/orders`, {}, true);
-                    const ordersData = await ordersResponse.json();
-                    const orders = ordersData.orders || [];
+                    const { items: orders } = await cachedFetchAllPages(`${API_BASE_URL}/admin/orders`, 'orders');
                     const now = new Date();
                     const monthlyRevenue = orders
                         .filter(o => {
@@ -1210,6 +2164,7 @@ async function loadDashboardCore() {
         
         return stats;
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入儀表板核心數據失敗:', error);
         showToast('載入數據失敗', 'error');
         throw error;
@@ -1234,6 +2189,7 @@ async function loadDashboardCharts() {
             }
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入儀表板圖表失敗:', error);
     }
 }
@@ -1340,13 +2296,14 @@ async function loadDashboardOverviewCharts(stats = null) {
             });
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入儀表板圖表失敗:', error);
     }
 }
 
 // 載入儀表板用戶分析圖表
 async function loadDashboardUsersCharts() {
-    // 實現用戶分析相關圖表
+    await loadCohortRetention();
 }
 
 // 載入儀表板內容分析圖表
@@ -1359,6 +2316,146 @@ async function loadDashboardBusinessCharts() {
     // 實現商業分析相關圖表
 }
 
+// ===== 註冊世代留存 =====
+const COHORT_PERIODS = { week: 12, month: 12 };
+const COHORT_PERIOD_LABELS = { week: '週', month: '月' };
+
+let cohortRetentionData = null;
+
+function getCohortRetentionParams() {
+    const granularity = document.getElementById('cohort-granularity')?.value || 'week';
+    const params = new URLSearchParams({ granularity, periods: COHORT_PERIODS[granularity] });
+    const activities = [...document.querySelectorAll('input[name="cohort-activity"]:checked')].map(input => input.value);
+    if (activities.length) params.set('activity', activities.join(','));
+    const plan = document.getElementById('cohort-filter-plan')?.value;
+    if (plan) params.set('plan', plan);
+    const channel = document.getElementById('cohort-filter-channel')?.value;
+    if (channel) params.set('channel', channel);
+    return params;
+}
+
+async function loadCohortRetention() {
+    const container = document.getElementById('cohort-retention-heatmap');
+    if (!container) return;
+    const params = getCohortRetentionParams();
+    if (!params.has('activity')) {
+        cohortRetentionData = null;
+        if (charts.dashboardCohortRetention) {
+            charts.dashboardCohortRetention.destroy();
+            charts.dashboardCohortRetention = null;
+        }
+        setHTML(container, '<div style="text-align: center; padding: 2rem; color: #64748b;">請至少選擇一種活動</div>');
+        return;
+    }
+
+    try {
+        const response = await cachedAdminFetch(`${API_BASE_URL}/admin/retention-cohorts?${params}`, {}, true, () => loadCohortRetention());
+        const data = await response.json();
+        // 載入期間篩選條件已改變時，交給較新的請求處理
+        if (getCohortRetentionParams().toString() !== params.toString()) return;
+        cohortRetentionData = { granularity: params.get('granularity'), cohorts: data.cohorts || [] };
+        renderCohortRetention(cohortRetentionData);
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('載入世代留存失敗:', error);
+        setHTML(container, '<div style="text-align: center; padding: 2rem; color: #ef4444;">載入世代留存失敗</div>');
+    }
+}
+
+// cohorts：[{ cohort, size, retained: [第 0 期活躍人數, 第 1 期, ...] }]，尚未到達的期數為 null
+function renderCohortRetention(retention) {
+    const { granularity, cohorts } = retention;
+    const container = document.getElementById('cohort-retention-heatmap');
+    if (!container) return;
+    const unit = COHORT_PERIOD_LABELS[granularity];
+    const periodLabel = index => `第 ${index} ${unit}`;
+
+    if (cohorts.length === 0) {
+        setHTML(container, '<div style="text-align: center; padding: 2rem; color: #64748b;">沒有符合條件的註冊世代</div>');
+    } else {
+        setHTML(container, buildRetentionHeatmapTable(['註冊期間', '用戶數'], periodLabel, cohorts.map(cohort => ({
+            cells: [escapeHtml(cohort.cohort), cohort.size],
+            rates: (cohort.retained || []).map(count => count === null || !cohort.size ? null : count / cohort.size)
+        }))));
+    }
+
+    // Chart.js 以 defer 載入，尚未就緒時稍後再畫
+    if (typeof Chart === 'undefined') {
+        setTimeout(() => {
+            if (cohortRetentionData === retention) renderCohortRetention(retention);
+        }, 300);
+        return;
+    }
+
+    // 依世代人數加權的平均留存曲線
+    const maxOffset = Math.max(0, ...cohorts.map(cohort => (cohort.retained || []).length));
+    const average = Array.from({ length: maxOffset }, (_, index) => {
+        let retained = 0;
+        let size = 0;
+        cohorts.forEach(cohort => {
+            const count = cohort.retained?.[index];
+            if (count === null || count === undefined) return;
+            retained += count;
+            size += cohort.size || 0;
+        });
+        return size ? Math.round(retained / size * 1000) / 10 : null;
+    });
+
+    if (charts.dashboardCohortRetention) charts.dashboardCohortRetention.destroy();
+    const ctx = document.getElementById('dashboard-cohort-retention-chart');
+    if (!ctx) return;
+    charts.dashboardCohortRetention = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: average.map((_, index) => periodLabel(index)),
+            datasets: [{
+                label: '平均留存率',
+                data: average,
+                borderColor: '#3b82f6',
+                backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                fill: true,
+                tension: 0.3
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: window.innerWidth <= 768 ? 1.5 : 3,
+            plugins: { legend: { display: false } },
+            scales: { y: { beginAtZero: true, max: 100, ticks: { callback: value => `${value}%` } } }
+        }
+    });
+}
+
+// 留存熱圖表格（註冊世代與營收世代共用）；rates 為 0~1 的比例，null 表示尚未到達該期
+function buildRetentionHeatmapTable(leadingHeaders, periodLabel, rows) {
+    const maxOffset = Math.max(0, ...rows.map(row => row.rates.length));
+    const cell = rate => {
+        if (rate === null || rate === undefined) return '<td></td>';
+        return `<td style="text-align: center; background: rgba(59, 130, 246, ${Math.min(1, rate) * 0.6 + 0.05});">${Math.round(rate * 100)}%</td>`;
+    };
+    return `
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        ${leadingHeaders.map(header => `<th>${header}</th>`).join('')}
+                        ${Array.from({ length: maxOffset }, (_, index) => `<th>${periodLabel(index)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            ${row.cells.map(value => `<td>${value}</td>`).join('')}
+                            ${Array.from({ length: maxOffset }, (_, index) => cell(row.rates[index])).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
 // 載入儀表板最近活動
 async function loadDashboardRecentActivities() {
     try {
@@ -1388,6 +2485,7 @@ async function loadDashboardRecentActivities() {
             activitiesContainer.innerHTML = '<div class="empty-state" style="text-align: center; color: #64748b;">暫無活動記錄</div>';
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入儀表板活動失敗:', error);
         const activitiesContainer = document.getElementById('dashboard-recent-activities');
         if (activitiesContainer) {
@@ -1469,6 +2567,7 @@ async function loadCharts(stats) {
             }
         });
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入圖表失敗:', error);
     }
 }
@@ -1506,6 +2605,7 @@ async function loadRecentActivities() {
         const actEl = await waitFor('#recent-activities', 5000).catch(() => null);
         if (actEl) setHTML(actEl, activitiesHtml);
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入活動失敗:', error);
         const actEl = document.querySelector('#recent-activities');
         if (actEl) setHTML(actEl, '<div class="empty-state" style="text-align: center; color: #64748b;">載入活動失敗</div>');
@@ -1570,19 +2670,178 @@ function formatDateTime(dateString) {
 let currentUsersPage = 1;
 const usersPageSize = 20;
 
+// 用戶列表查詢條件（送至後端篩選，並同步到網址 hash）
+const DEFAULT_USERS_QUERY = {
+    search: '',
+    plan: '',
+    subscription: '',
+    dateFrom: '',
+    dateTo: '',
+    sortBy: 'created_at',
+    sortOrder: 'desc'
+};
+let usersQuery = { ...DEFAULT_USERS_QUERY };
+let usersSearchTimer = null;
+
+const USERS_SORT_LABELS = {
+    created_at: '註冊時間',
+    email: 'Email',
+    name: '姓名',
+    conversation_count: '對話數',
+    script_count: '腳本數'
+};
+
+function isUsersQueryFiltered() {
+    return !!(usersQuery.search || usersQuery.plan || usersQuery.subscription || usersQuery.dateFrom || usersQuery.dateTo);
+}
+
+// 組合後端查詢參數
+function buildUsersQueryParams(page) {
+    const params = new URLSearchParams({ page, page_size: usersPageSize });
+    if (usersQuery.search) params.set('search', usersQuery.search);
+    if (usersQuery.plan) params.set('plan', usersQuery.plan);
+    if (usersQuery.subscription) params.set('is_subscribed', usersQuery.subscription);
+    if (usersQuery.dateFrom) params.set('registered_from', usersQuery.dateFrom);
+    if (usersQuery.dateTo) params.set('registered_to', usersQuery.dateTo);
+    params.set('sort_by', usersQuery.sortBy);
+    params.set('sort_order', usersQuery.sortOrder);
+    return params;
+}
+
+// 用戶列表的網址參數（由網址路由使用）
+function getUsersRouteParams(page) {
+    const params = new URLSearchParams();
+    if (usersQuery.search) params.set('search', usersQuery.search);
+    if (usersQuery.plan) params.set('plan', usersQuery.plan);
+    if (usersQuery.subscription) params.set('subscribed', usersQuery.subscription);
+    if (usersQuery.dateFrom) params.set('from', usersQuery.dateFrom);
+    if (usersQuery.dateTo) params.set('to', usersQuery.dateTo);
+    if (usersQuery.sortBy !== DEFAULT_USERS_QUERY.sortBy || usersQuery.sortOrder !== DEFAULT_USERS_QUERY.sortOrder) {
+        params.set('sort', `${usersQuery.sortBy}:${usersQuery.sortOrder}`);
+    }
+    if (page > 1) params.set('page', page);
+    return params;
+}
+
+// 從網址參數還原查詢條件與頁碼
+function applyUsersRouteParams(params) {
+    const [sortBy, sortOrder] = (params.get('sort') || '').split(':');
+    usersQuery = {
+        ...DEFAULT_USERS_QUERY,
+        search: params.get('search') || '',
+        plan: params.get('plan') || '',
+        subscription: params.get('subscribed') || '',
+        dateFrom: params.get('from') || '',
+        dateTo: params.get('to') || '',
+        sortBy: USERS_SORT_LABELS[sortBy] ? sortBy : DEFAULT_USERS_QUERY.sortBy,
+        sortOrder: sortOrder === 'asc' ? 'asc' : DEFAULT_USERS_QUERY.sortOrder
+    };
+    applyUsersQueryToForm();
+    currentUsersPage = Math.max(1, parseInt(params.get('page')) || 1);
+}
+
+function readUsersQueryFromForm() {
+    const [sortBy, sortOrder] = (document.getElementById('user-sort')?.value || 'created_at:desc').split(':');
+    usersQuery = {
+        search: (document.getElementById('user-search')?.value || '').trim(),
+        plan: document.getElementById('user-filter-plan')?.value || '',
+        subscription: document.getElementById('user-filter-subscription')?.value || '',
+        dateFrom: document.getElementById('user-filter-date-from')?.value || '',
+        dateTo: document.getElementById('user-filter-date-to')?.value || '',
+        sortBy,
+        sortOrder
+    };
+}
+
+function applyUsersQueryToForm() {
+    const setValue = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    };
+    setValue('user-search', usersQuery.search);
+    setValue('user-filter-plan', usersQuery.plan);
+    setValue('user-filter-subscription', usersQuery.subscription);
+    setValue('user-filter-date-from', usersQuery.dateFrom);
+    setValue('user-filter-date-to', usersQuery.dateTo);
+    
+    // 表頭排序可能產生下拉選單沒有的組合，動態補上選項
+    const sortSelect = document.getElementById('user-sort');
+    if (sortSelect) {
+        const sortValue = `${usersQuery.sortBy}:${usersQuery.sortOrder}`;
+        if (![...sortSelect.options].some(o => o.value === sortValue)) {
+            const option = document.createElement('option');
+            option.value = sortValue;
+            option.textContent = `${USERS_SORT_LABELS[usersQuery.sortBy]}（${usersQuery.sortOrder === 'asc' ? '遞增' : '遞減'}）`;
+            sortSelect.appendChild(option);
+        }
+        sortSelect.value = sortValue;
+    }
+    
+    // 更新表頭排序指示
+    document.querySelectorAll('#users-table th.sortable').forEach(th => {
+        th.classList.remove('sort-asc', 'sort-desc');
+        if (th.getAttribute('data-sort') === usersQuery.sortBy) {
+            th.classList.add(usersQuery.sortOrder === 'asc' ? 'sort-asc' : 'sort-desc');
+        }
+    });
+}
+
+// 篩選條件變更：回到第 1 頁重新向後端查詢（文字搜尋延遲送出）
+function filterUsers(immediate = false) {
+    clearTimeout(usersSearchTimer);
+    const run = () => {
+        readUsersQueryFromForm();
+        loadUsers(1);
+    };
+    if (immediate) {
+        run();
+    } else {
+        usersSearchTimer = setTimeout(run, 400);
+    }
+}
+
+// 點擊表頭排序：同欄位切換遞增/遞減
+function sortUsersBy(column) {
+    readUsersQueryFromForm();
+    if (usersQuery.sortBy === column) {
+        usersQuery.sortOrder = usersQuery.sortOrder === 'asc' ? 'desc' : 'asc';
+    } else {
+        usersQuery.sortBy = column;
+        usersQuery.sortOrder = column === 'email' || column === 'name' ? 'asc' : 'desc';
+    }
+    applyUsersQueryToForm();
+    loadUsers(1);
+}
+
+function resetUsersQuery() {
+    usersQuery = { ...DEFAULT_USERS_QUERY };
+    applyUsersQueryToForm();
+    loadUsers(1);
+}
+
 async function loadUsers(page = 1) {
     // 根本修复：在函数开头声明 tabPanel，避免重复声明和作用域问题
     const tabPanel = document.getElementById('tab-users-list');
     
     try {
         currentUsersPage = page;
-        const response = await adminFetch(`${API_BASE_URL}/admin/users?page=${page}&page_size=${usersPageSize}`);
+        const response = await cachedAdminFetch(`${API_BASE_URL}/admin/users?${buildUsersQueryParams(page)}`, {}, true, () => loadUsers(page));
         const data = await response.json();
+        data.users = data.users || [];
+        
+        // 篩選後總頁數變少時，回到最後一頁，保持分頁與結果一致
+        if (data.total_pages && page > data.total_pages) {
+            return loadUsers(data.total_pages);
+        }
+        updateRouteHash();
+        currentUsersList = data.users;
+        const emptyMessage = isUsersQueryFiltered() ? '沒有符合篩選條件的用戶' : '目前沒有用戶';
         
         // 檢測是否為手機版
         const isMobile = window.innerWidth <= 768;
         // 修复：使用 tabPanel 查找 table-container
         let tableContainer = tabPanel ? tabPanel.querySelector('.table-container') : document.querySelector('#users .table-container');
+        renderDataAsOf('users-data-as-of', tableContainer, response);
         
         if (isMobile) {
             // 手機版：卡片式佈局
@@ -1596,7 +2855,9 @@ async function loadUsers(page = 1) {
             cardsContainer.className = 'mobile-cards-container';
             
             // 添加卡片
-            cardsContainer.innerHTML = data.users.map(user => {
+            cardsContainer.innerHTML = data.users.length === 0
+                ? `<p style="text-align: center; color: #64748b; padding: 2rem;">${emptyMessage}</p>`
+                : data.users.map(user => {
                 const isSubscribed = user.is_subscribed !== false;
                 const subscribeStatus = isSubscribed ? '已訂閱' : '未訂閱';
                 
@@ -1614,7 +2875,10 @@ async function loadUsers(page = 1) {
                 return `
                 <div class="mobile-card">
                     <div class="mobile-card-header">
-                        <span class="mobile-card-title">${user.name || '未命名用戶'}</span>
+                        <label style="display: flex; align-items: center; gap: 8px; min-width: 0;">
+                            <input type="checkbox" class="user-select-checkbox" ${selectedUsers.has(user.user_id) ? 'checked' : ''} onchange="toggleUserSelection('${user.user_id}', this.checked)" aria-label="選取用戶">
+                            <span class="mobile-card-title">${user.name || '未命名用戶'}</span>
+                        </label>
                         <span class="mobile-card-badge ${isSubscribed ? 'badge-success' : 'badge-danger'}">${subscribeStatus}</span>
                     </div>
                     <div class="mobile-card-row">
@@ -1638,15 +2902,15 @@ async function loadUsers(page = 1) {
                         <span class="mobile-card-value">${formatDate(user.created_at)}</span>
                     </div>
                     <div class="mobile-card-actions">
-                        <button class="btn-upgrade" onclick="showUpgradePlanModal('${user.user_id}', '${userPlan}')" type="button" title="升級/修改方案" style="margin-bottom: 8px; width: 100%;">⬆️ 升級方案</button>
-                        <button class="btn-action" onclick="showAdjustUsageModal('${user.user_id}')" type="button" title="補充/調整用量" style="background: #f59e0b; color: white; margin-bottom: 8px; width: 100%;">➕ 補充用量</button>
-                        <button class="btn-action ${isSubscribed ? 'btn-danger' : 'btn-success'}" 
+                        <button class="btn-upgrade" data-permission="subscription.manage" onclick="showUpgradePlanModal('${user.user_id}', '${userPlan}')" type="button" title="升級/修改方案" style="margin-bottom: 8px; width: 100%;">⬆️ 升級方案</button>
+                        <button class="btn-action" data-permission="usage.adjust" onclick="showAdjustUsageModal('${user.user_id}')" type="button" title="補充/調整用量" style="background: #f59e0b; color: white; margin-bottom: 8px; width: 100%;">➕ 補充用量</button>
+                        <button class="btn-action ${isSubscribed ? 'btn-danger' : 'btn-success'}" data-permission="subscription.manage"
                                 onclick="toggleSubscribe('${user.user_id}', ${!isSubscribed})" 
                                 type="button">
                             ${isSubscribed ? '❌ 取消訂閱' : '✅ 啟用訂閱'}
                         </button>
                         <button class="btn-action btn-view" onclick="viewUser('${user.user_id}')" type="button">查看詳情</button>
-                        <button class="btn-action btn-promote" onclick="promoteToAdmin('${user.email}')" type="button" title="提升為管理員">⬆️ 提權</button>
+                        <button class="btn-action btn-promote" data-permission="admins.manage" onclick="promoteToAdmin('${user.email}')" type="button" title="提升為管理員">⬆️ 提權</button>
                     </div>
                 </div>
             `;
@@ -1663,7 +2927,9 @@ async function loadUsers(page = 1) {
                 showToast('找不到表格元素', 'error');
                 return;
             }
-            tbody.innerHTML = data.users.map(user => {
+            tbody.innerHTML = data.users.length === 0
+                ? `<tr><td colspan="10" style="text-align: center; color: #64748b; padding: 2rem;">${emptyMessage}</td></tr>`
+                : data.users.map(user => {
                 const isSubscribed = user.is_subscribed !== false; // 預設為已訂閱
                 const subscribeStatus = isSubscribed ? 
                     '<span class="badge badge-success">已訂閱</span>' : 
@@ -1683,6 +2949,7 @@ async function loadUsers(page = 1) {
                 
                 return `
                 <tr>
+                    <td><input type="checkbox" class="user-select-checkbox" ${selectedUsers.has(user.user_id) ? 'checked' : ''} onchange="toggleUserSelection('${user.user_id}', this.checked)" aria-label="選取用戶"></td>
                     <td>${user.user_id.substring(0, 12)}...</td>
                     <td>${user.email}</td>
                     <td>${user.name || '-'}</td>
@@ -1692,15 +2959,15 @@ async function loadUsers(page = 1) {
                     <td>${user.conversation_count || 0}</td>
                     <td>${user.script_count || 0}</td>
                     <td>
-                        <button class="btn-upgrade" onclick="showUpgradePlanModal('${user.user_id}', '${userPlan}')" type="button" title="升級/修改方案" style="margin-right: 6px;">⬆️ 升級方案</button>
-                        <button class="btn-action" onclick="showAdjustUsageModal('${user.user_id}')" type="button" title="補充/調整用量" style="background: #f59e0b; color: white; margin-right: 6px;">➕ 補充用量</button>
-                        <button class="btn-action btn-subscribe ${isSubscribed ? 'btn-danger' : 'btn-success'}" 
+                        <button class="btn-upgrade" data-permission="subscription.manage" onclick="showUpgradePlanModal('${user.user_id}', '${userPlan}')" type="button" title="升級/修改方案" style="margin-right: 6px;">⬆️ 升級方案</button>
+                        <button class="btn-action" data-permission="usage.adjust" onclick="showAdjustUsageModal('${user.user_id}')" type="button" title="補充/調整用量" style="background: #f59e0b; color: white; margin-right: 6px;">➕ 補充用量</button>
+                        <button class="btn-action btn-subscribe ${isSubscribed ? 'btn-danger' : 'btn-success'}" data-permission="subscription.manage"
                                 onclick="toggleSubscribe('${user.user_id}', ${!isSubscribed})" 
                                 type="button">
                             ${isSubscribed ? '❌ 取消訂閱' : '✅ 啟用訂閱'}
                         </button>
                         <button class="btn-action btn-view" onclick="viewUser('${user.user_id}')" type="button">查看</button>
-                        <button class="btn-action btn-promote" onclick="promoteToAdmin('${user.email}')" type="button" title="提升為管理員">⬆️ 提權</button>
+                        <button class="btn-action btn-promote" data-permission="admins.manage" onclick="promoteToAdmin('${user.email}')" type="button" title="提升為管理員">⬆️ 提權</button>
                     </td>
                 </tr>
             `;
@@ -1755,10 +3022,10 @@ async function loadUsers(page = 1) {
             // 显示更明显的分页信息（包括总用户数提示）
             const pageInfo = document.createElement('span');
             pageInfo.style.cssText = 'color: #1e293b; font-size: 0.95em; font-weight: 500; margin-right: 12px; padding: 4px 8px; background: #f1f5f9; border-radius: 4px;';
-            pageInfo.textContent = `第 ${currentPage} / ${totalPages} 頁 | 共 ${totalUsers} 位用戶 | 本頁顯示 ${data.users.length} 位`;
+            pageInfo.textContent = `第 ${currentPage} / ${totalPages} 頁 | ${isUsersQueryFiltered() ? '符合條件' : '共'} ${totalUsers} 位用戶 | 本頁顯示 ${data.users.length} 位`;
             
-            // 如果有多页，显示提示
-            if (totalPages > 1) {
+            // 如果有多页且依註冊時間新→舊排序，显示提示
+            if (totalPages > 1 && !isUsersQueryFiltered() && usersQuery.sortBy === 'created_at' && usersQuery.sortOrder === 'desc') {
                 const hint = document.createElement('span');
                 hint.style.cssText = 'color: #f59e0b; font-size: 0.85em; margin-right: 8px;';
                 hint.textContent = `💡 提示：最早註冊的用戶在第 ${totalPages} 頁`;
@@ -1880,29 +3147,22 @@ async function loadUsers(page = 1) {
                 actionsDiv.appendChild(exportBtn);
             }
         }
+        
+        updateUsersBulkBar();
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入用戶失敗:', error);
         showToast('載入用戶數據失敗', 'error');
     }
 }
 
-function filterUsers() {
-    const search = document.getElementById('user-search').value.toLowerCase();
-    const platform = document.getElementById('user-filter-platform').value;
-    
-    const rows = document.querySelectorAll('#users-table tbody tr');
-    rows.forEach(row => {
-        const text = row.textContent.toLowerCase();
-        const shouldShow = text.includes(search) && (!platform || row.textContent.includes(platform));
-        row.style.display = shouldShow ? '' : 'none';
-    });
-}
-
 async function viewUser(userId) {
     // 檢查按鈕是否被禁用
     if (event && event.target.disabled) return;
     
     showToast('正在載入用戶詳細資訊...', 'info');
+    const routeKey = `user:${userId}`;
+    openRouteModal(routeKey);
     
     try {
         // 使用管理員端點獲取完整用戶資料（包含訂單和授權資訊）
@@ -1940,7 +3200,7 @@ async function viewUser(userId) {
         content += `<div style="margin-top: 16px; padding: 12px; background: ${planInfo.bg}; border-left: 4px solid ${planInfo.color}; border-radius: 8px;">`;
         content += `<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">`;
         content += `<h4 style="margin: 0; color: ${planInfo.color};">📦 方案資訊</h4>`;
-        content += `<button onclick="showUpgradePlanModal('${userId}', '${userPlan}')" style="padding: 6px 12px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.875rem; font-weight: 600;">⬆️ 升級方案</button>`;
+        content += `<button data-permission="subscription.manage" onclick="showUpgradePlanModal('${userId}', '${userPlan}')" style="padding: 6px 12px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.875rem; font-weight: 600;">⬆️ 升級方案</button>`;
         content += `</div>`;
         content += `<p><strong>當前方案：</strong><span style="color: ${planInfo.color}; font-weight: 600; font-size: 1.1rem;">${planInfo.name}</span></p>`;
         if (billingCycle !== 'none') {
@@ -2019,14 +3279,7 @@ async function viewUser(userId) {
         
         // 用量資訊
         const usageData = userData.usage || {};
-        const planLimitsMap = {
-            'free': { daily: 10, monthly: 100, premium_monthly: 0 },
-            'lite': { daily: 20, monthly: 300, premium_monthly: 0 },
-            'pro': { daily: 300, monthly: 10000, premium_monthly: 2000 },
-            'max': { daily: 1000, monthly: 30000, premium_monthly: 5000 },
-            'vip': { daily: 1000, monthly: 30000, premium_monthly: 5000 }
-        };
-        const limits = planLimitsMap[userPlan] || planLimitsMap['free'];
+        const limits = PLAN_USAGE_LIMITS[userPlan] || PLAN_USAGE_LIMITS['free'];
         const dailyUsed = usageData.daily_used || 0;
         const monthlyUsed = usageData.monthly_used || 0;
         const premiumMonthlyUsed = usageData.premium_monthly_used || 0;
@@ -2034,7 +3287,7 @@ async function viewUser(userId) {
         content += `<div style="margin-top: 16px; padding: 12px; background: #fff7ed; border-left: 4px solid #f59e0b; border-radius: 8px;">`;
         content += `<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">`;
         content += `<h4 style="margin: 0; color: #f59e0b;">📊 用量資訊</h4>`;
-        content += `<button onclick="showAdjustUsageModal('${userId}')" style="padding: 6px 12px; background: #f59e0b; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.875rem; font-weight: 600;">➕ 補充用量</button>`;
+        content += `<button data-permission="usage.adjust" onclick="showAdjustUsageModal('${userId}')" style="padding: 6px 12px; background: #f59e0b; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.875rem; font-weight: 600;">➕ 補充用量</button>`;
         content += `</div>`;
         content += `<div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin-top: 12px;">`;
         
@@ -2088,7 +3341,7 @@ async function viewUser(userId) {
             content += `<div style="margin-top: 16px; padding: 12px; background: #f0fdf4; border-radius: 8px;">`;
             content += `<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">`;
             content += `<h4 style="margin: 0;">🔑 LLM Key 綁定資訊</h4>`;
-            content += `<button onclick="showSetLLMKeyModal('${userId}')" style="padding: 6px 12px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.875rem;">設置 Key</button>`;
+            content += `<button data-permission="llm_key.manage" onclick="showSetLLMKeyModal('${userId}')" style="padding: 6px 12px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.875rem;">設置 Key</button>`;
             content += `</div>`;
             llmKeys.forEach(key => {
                 const providerName = (key.provider || '未知').toUpperCase();
@@ -2108,7 +3361,7 @@ async function viewUser(userId) {
                     content += `<p style="margin: 4px 0; font-size: 0.9rem; color: #64748b;">綁定時間: ${createdAt}</p>`;
                 }
                 content += `</div>`;
-                content += `<button onclick="deleteUserLLMKey('${userId}', '${key.provider || 'gemini'}')" style="padding: 4px 8px; background: #ef4444; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.875rem;">刪除</button>`;
+                content += `<button data-permission="llm_key.manage" onclick="deleteUserLLMKey('${userId}', '${key.provider || 'gemini'}')" style="padding: 4px 8px; background: #ef4444; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.875rem;">刪除</button>`;
                 content += `</div>`;
                 content += `</div>`;
             });
@@ -2117,7 +3370,7 @@ async function viewUser(userId) {
             content += `<div style="margin-top: 16px; padding: 12px; background: #fef2f2; border-radius: 8px;">`;
             content += `<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">`;
             content += `<h4 style="margin: 0;">🔑 LLM Key 綁定資訊</h4>`;
-            content += `<button onclick="showSetLLMKeyModal('${userId}')" style="padding: 6px 12px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.875rem;">設置 Key</button>`;
+            content += `<button data-permission="llm_key.manage" onclick="showSetLLMKeyModal('${userId}')" style="padding: 6px 12px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.875rem;">設置 Key</button>`;
             content += `</div>`;
             content += `<p style="color: #64748b;">尚未綁定 LLM Key</p>`;
             content += `</div>`;
@@ -2167,9 +3420,10 @@ async function viewUser(userId) {
                 content += `<td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${order.plan_type === 'two_year' ? 'Creator Pro 雙年' : order.plan_type === 'yearly' ? 'Script Lite 入門' : order.plan_type === 'lifetime' ? '永久使用' : (order.plan_type === 'monthly' || order.plan_type === 'personal') ? '舊方案（需升級）' : order.plan_type || '-'}</td>`;
                 content += `<td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">NT$${order.amount?.toLocaleString() || 0}</td>`;
                 content += `<td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${paymentMethodDisplay}</td>`;
-                content += `<td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${order.payment_status === 'paid' ? '✅ 已付款' : '⏳ 待付款'}</td>`;
+                content += `<td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${getOrderPaymentStatus(order).icon} ${getOrderPaymentStatus(order).label}</td>`;
                 content += `<td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${paidDate}</td>`;
                 content += `</tr>`;
+                content += buildOrderRefundRows(order, 1, 3, 'padding: 8px; border-bottom: 1px solid #e5e7eb;');
             });
             
             content += `</tbody></table>`;
@@ -2178,18 +3432,33 @@ async function viewUser(userId) {
             content += `<p style="margin-top: 16px; color: #64748b;">尚無購買記錄</p>`;
         }
         
+        // 客戶時間軸（彈窗顯示後再載入）
+        content += `<div style="margin-top: 16px;">`;
+        content += `<h4 style="margin-bottom: 8px;">🕒 客戶時間軸</h4>`;
+        content += `<div id="user-timeline-note" style="color: #f59e0b; font-size: 0.85rem;"></div>`;
+        content += `<div id="user-timeline-filters" style="display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 8px;"></div>`;
+        content += `<div id="user-timeline-list" style="max-height: 400px; overflow-y: auto;"><p style="color: #64748b; text-align: center; padding: 1rem;">載入時間軸中...</p></div>`;
         content += `</div>`;
         
+        content += `</div>`;
+        
+        // 載入期間已透過上一頁離開時不再顯示
+        if (routeModal !== routeKey) return;
+        
         // 顯示自定義彈窗
-        showUserDetailModal(content);
+        const modal = showUserDetailModal(content, () => closeRouteModal(routeKey));
+        registerRouteModalCloser(routeKey, () => modal.remove());
+        loadUserTimeline(userId, userData);
     } catch (error) {
+        closeRouteModal(routeKey);
+        if (isHandledRequestError(error)) return;
         console.error('載入用戶詳情失敗:', error);
         showToast('載入用戶詳情失敗', 'error');
         alert(`查看用戶詳情\n用戶ID: ${userId}\n\n載入詳細資訊失敗，請稍後再試。`);
     }
 }
 
-function showUserDetailModal(content) {
+function showUserDetailModal(content, onClose = null) {
     // 創建模態框
     const modal = document.createElement('div');
     modal.style.cssText = `
@@ -2232,7 +3501,11 @@ function showUserDetailModal(content) {
         margin-top: 10px;
         font-weight: 600;
     `;
-    closeBtn.onclick = () => document.body.removeChild(modal);
+    const close = () => {
+        modal.remove();
+        if (onClose) onClose();
+    };
+    closeBtn.onclick = close;
     
     modalContent.appendChild(closeBtn);
     modal.appendChild(modalContent);
@@ -2241,9 +3514,200 @@ function showUserDetailModal(content) {
     // 點擊背景關閉
     modal.onclick = (e) => {
         if (e.target === modal) {
-            document.body.removeChild(modal);
+            close();
         }
     };
+    
+    return modal;
+}
+
+// ===== 客戶時間軸 =====
+const USER_TIMELINE_TYPES = {
+    registration: { label: '註冊', icon: '🆕', color: '#10b981' },
+    order: { label: '訂單', icon: '💳', color: '#3b82f6' },
+    license: { label: '授權', icon: '🔑', color: '#8b5cf6' },
+    referral: { label: '推薦', icon: '🤝', color: '#ec4899' },
+    conversation: { label: '對話', icon: '💬', color: '#0ea5e9' },
+    script: { label: '腳本', icon: '📝', color: '#f59e0b' },
+    ip_planning: { label: 'IP人設規劃', icon: '🎯', color: '#14b8a6' },
+    memory: { label: '長期記憶', icon: '🧠', color: '#6366f1' },
+    admin_action: { label: '管理操作', icon: '🛡️', color: '#ef4444' }
+};
+
+let userTimelineState = { userId: null, events: [], hiddenTypes: new Set(), scripts: new Map() };
+
+// 依時間整理用戶的所有事件（新到舊）；open 為可跳轉的詳情
+function buildUserTimelineEvents(userId, userData, data) {
+    const events = [];
+    const push = (type, at, title, detail = '', open = null) => {
+        if (at) events.push({ type, at, title, detail, open });
+    };
+    const userInfo = userData.user_info || {};
+    
+    push('registration', data.registered_at || userInfo.created_at, '註冊帳號', userInfo.email || '');
+    
+    (data.orders || userData.orders || []).forEach(order => {
+        push('order', order.paid_at || order.created_at, `訂單 ${order.order_id || order.id}`,
+            `${order.plan_type || '-'}・NT$${(order.amount || 0).toLocaleString()}・${getOrderPaymentStatus(order).label}`);
+        (order.refunds || []).forEach(refund => {
+            push('order', refund.created_at, `訂單 ${order.order_id || order.id} 退款`,
+                `-NT$${(Number(refund.amount) || 0).toLocaleString()}・${REFUND_REASONS[refund.reason] || refund.reason || '-'}`);
+        });
+    });
+    
+    (data.license_activations || []).forEach(activation => {
+        push('license', activation.activated_at || activation.created_at, `授權記錄（${activation.channel || '-'}）`,
+            `${activation.plan_type || '-'}・${activation.status || '-'}${activation.license_expires_at ? `・到期 ${formatDate(activation.license_expires_at)}` : ''}`);
+    });
+    
+    (data.referrals || []).forEach(record => {
+        const reward = record.reward_granted ? '已發放獎勵' : record.has_paid_order ? '待發放獎勵' : '尚未付款';
+        const title = record.referred_user_id === userId
+            ? `經 ${record.referrer_name || record.referrer_email || '-'} 推薦註冊`
+            : `推薦 ${record.referred_name || record.referred_email || '-'} 註冊`;
+        push('referral', record.referral_date, title, `推薦碼 ${record.referral_code || '-'}・${reward}`);
+    });
+    
+    (data.conversations || []).forEach(conv => {
+        const conversationType = conv.conversation_type || conv.mode;
+        push('conversation', conv.created_at, `對話：${getConversationTypeLabel(conversationType)}`,
+            `${conv.message_count || 0} 則訊息${conv.summary ? `・${conv.summary}` : ''}`,
+            { kind: 'conversation', conversationType, mode: conv.mode || getConversationTypeLabel(conversationType) });
+    });
+    
+    userTimelineState.scripts = new Map((data.scripts || []).map(script => [String(script.id), script]));
+    (data.scripts || []).forEach(script => {
+        push('script', script.created_at, `腳本：${script.title || script.name || '未命名腳本'}`,
+            [script.platform, script.category || script.topic].filter(Boolean).join('・'),
+            { kind: 'script', scriptId: script.id });
+    });
+    
+    (data.ip_planning || []).forEach(result => {
+        const typeName = result.result_type === 'profile' ? 'IP Profile' :
+                        result.result_type === 'plan' ? '14天規劃' : '今日腳本';
+        push('ip_planning', result.created_at, `IP人設規劃：${typeName}`, result.title || '');
+    });
+    
+    // 長期記憶數量多，依會話合併成一筆
+    const sessions = {};
+    (data.memories || []).forEach(mem => {
+        const sessionId = mem.session_id || 'unknown';
+        if (!sessions[sessionId]) {
+            sessions[sessionId] = { conversation_type: mem.conversation_type, first: mem.created_at, count: 0 };
+        }
+        sessions[sessionId].count++;
+        if (mem.created_at && mem.created_at < sessions[sessionId].first) {
+            sessions[sessionId].first = mem.created_at;
+        }
+    });
+    Object.values(sessions).forEach(session => {
+        push('memory', session.first, `長期記憶：${getConversationTypeLabel(session.conversation_type)}`,
+            `${session.count} 則記憶`, { kind: 'memory' });
+    });
+    
+    (data.admin_actions || []).forEach(log => {
+        push('admin_action', log.created_at, AUDIT_ACTION_LABELS[log.action] || log.action,
+            `${log.admin_email || '-'}${log.admin_note ? `・${log.admin_note}` : ''}`);
+    });
+    
+    return events.sort((a, b) => new Date(b.at) - new Date(a.at));
+}
+
+async function loadUserTimeline(userId, userData) {
+    userTimelineState = { userId, events: [], hiddenTypes: new Set(), scripts: new Map() };
+    let data = {};
+    let partial = false;
+    
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/user/${userId}/timeline`);
+        if (response.ok) {
+            data = await response.json();
+        } else {
+            partial = true;
+        }
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.warn('載入客戶時間軸失敗:', error);
+        partial = true;
+    }
+    
+    userTimelineState.events = buildUserTimelineEvents(userId, userData, data);
+    renderUserTimeline();
+    
+    const noteEl = document.getElementById('user-timeline-note');
+    if (noteEl && partial) {
+        noteEl.textContent = '⚠️ 無法載入完整時間軸，僅顯示註冊與訂單';
+    }
+}
+
+function renderUserTimeline() {
+    const filtersEl = document.getElementById('user-timeline-filters');
+    const listEl = document.getElementById('user-timeline-list');
+    if (!filtersEl || !listEl) return; // 詳情視窗已關閉
+    
+    const { events, hiddenTypes } = userTimelineState;
+    const counts = {};
+    events.forEach(event => {
+        counts[event.type] = (counts[event.type] || 0) + 1;
+    });
+    
+    filtersEl.innerHTML = Object.entries(USER_TIMELINE_TYPES)
+        .filter(([type]) => counts[type])
+        .map(([type, config]) => {
+            const active = !hiddenTypes.has(type);
+            return `<button type="button" onclick="toggleUserTimelineType('${type}')" style="padding: 4px 10px; border-radius: 999px; border: 1px solid ${config.color}; background: ${active ? config.color : 'white'}; color: ${active ? 'white' : config.color}; cursor: pointer; font-size: 0.8rem;">${config.icon} ${config.label} ${counts[type]}</button>`;
+        }).join('');
+    
+    const visible = events.map((event, index) => ({ event, index })).filter(({ event }) => !hiddenTypes.has(event.type));
+    if (visible.length === 0) {
+        listEl.innerHTML = '<p style="color: #64748b; text-align: center; padding: 1rem;">沒有符合篩選的事件</p>';
+        return;
+    }
+    
+    listEl.innerHTML = visible.map(({ event, index }) => {
+        const config = USER_TIMELINE_TYPES[event.type];
+        return `
+            <div style="display: flex; gap: 12px; padding: 8px 0; border-bottom: 1px solid #f1f5f9;">
+                <div style="flex-shrink: 0; width: 28px; height: 28px; border-radius: 50%; background: ${config.color}1a; display: flex; align-items: center; justify-content: center;">${config.icon}</div>
+                <div style="flex: 1; min-width: 0;">
+                    <div style="display: flex; justify-content: space-between; gap: 8px; flex-wrap: wrap;">
+                        <strong style="color: #1e293b;">${escapeHtml(event.title)}</strong>
+                        <span style="color: #94a3b8; font-size: 0.8rem; white-space: nowrap;">${formatDateTime(event.at)}</span>
+                    </div>
+                    ${event.detail ? `<div style="color: #64748b; font-size: 0.85rem; margin-top: 2px; word-break: break-word;">${escapeHtml(event.detail)}</div>` : ''}
+                    ${event.open ? `<button type="button" class="btn-action btn-view" style="margin-top: 4px;" onclick="openUserTimelineEvent(${index})">查看 →</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function toggleUserTimelineType(type) {
+    const { hiddenTypes } = userTimelineState;
+    if (hiddenTypes.has(type)) {
+        hiddenTypes.delete(type);
+    } else {
+        hiddenTypes.add(type);
+    }
+    renderUserTimeline();
+}
+
+function openUserTimelineEvent(index) {
+    const event = userTimelineState.events[index];
+    if (!event || !event.open) return;
+    const userId = userTimelineState.userId;
+    
+    switch (event.open.kind) {
+        case 'conversation':
+            viewConversation(userId, event.open.conversationType, event.open.mode);
+            break;
+        case 'script':
+            viewScript(event.open.scriptId);
+            break;
+        case 'memory':
+            viewUserMemoryDetail(userId);
+            break;
+    }
 }
 
 // ===== 模式分析 =====
@@ -2369,6 +3833,7 @@ async function loadModes() {
             }
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入模式分析失敗:', error);
         showToast('載入模式分析失敗', 'error');
     }
@@ -2567,6 +4032,7 @@ async function loadConversations() {
             }
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入對話記錄失敗:', error);
         showToast('載入對話記錄失敗', 'error');
         
@@ -2591,6 +4057,7 @@ async function loadConversations() {
 let currentConversationPage = 1;
 async function loadConversationsWithPage(page) {
     currentConversationPage = page;
+    updateRouteHash();
     await loadConversations();
 }
 
@@ -2602,6 +4069,9 @@ async function viewConversation(userId, conversationType, modeDisplay) {
     // 打開彈窗
     const modal = document.getElementById('conversation-modal');
     modal.classList.add('active');
+    const routeKey = `conversation:${userId}:${conversationType || modeDisplay}`;
+    openRouteModal(routeKey);
+    registerRouteModalCloser(routeKey, () => modal.classList.remove('active'));
     
     // 顯示載入中
     const content = document.getElementById('conversation-detail-content');
@@ -2729,48 +4199,22 @@ async function viewConversation(userId, conversationType, modeDisplay) {
             return new Date(bTime) - new Date(aTime);
         });
         
-        // 顯示最新的會話（或所有會話）
-        let messagesHtml = '<div class="conversation-detail">';
-        
-        // 顯示用戶資訊
-        if (memories.length > 0) {
-            const userInfo = memories[0];
-            messagesHtml += `
-                <div style="padding: 12px; background: #f8fafc; border-radius: 8px; margin-bottom: 16px;">
-                    <p style="margin: 4px 0;"><strong>用戶：</strong>${escapeHtml(userInfo.user_name || '未知')} <span style="color: #64748b;">${escapeHtml(userInfo.user_email || '')}</span></p>
-                    <p style="margin: 4px 0;"><strong>對話類型：</strong>${escapeHtml(displayMode)}</p>
-                    <p style="margin: 4px 0;"><strong>消息數：</strong>${filteredMemories.length} 條</p>
-                </div>
-            `;
-        }
-        
-        // 顯示每個會話的對話內容
-        sortedSessions.forEach(([sessionId, sessionMessages], sessionIndex) => {
-            // 按時間排序會話內的消息
-            sessionMessages.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-            
-            if (sortedSessions.length > 1) {
-                messagesHtml += `<div style="margin-top: 24px; padding-top: 16px; border-top: 1px solid #e2e8f0;"><strong style="color: #64748b;">會話 ${sessionIndex + 1}</strong></div>`;
-            }
-            
-            sessionMessages.forEach(msg => {
-                const isUser = msg.message_role === 'user';
-                const timeStr = formatDateTime(msg.created_at);
-                
-                messagesHtml += `
-                    <div class="message-item ${msg.message_role}" style="margin-bottom: 16px; padding: 12px; background: ${isUser ? '#f1f5f9' : '#f8fafc'}; border-radius: 8px; border-left: 3px solid ${isUser ? '#3b82f6' : '#10b981'};">
-                        <div class="message-header" style="margin-bottom: 8px; display: flex; justify-content: space-between; align-items: center;">
-                            <span class="message-role" style="font-weight: 600; color: ${isUser ? '#3b82f6' : '#10b981'};">${isUser ? '👤 用戶' : '🤖 AI助理'}</span>
-                            <span class="message-time" style="color: #64748b; font-size: 0.85em;">${timeStr}</span>
-                        </div>
-                        <div class="message-content" style="white-space: pre-wrap; word-wrap: break-word; color: #1e293b;">${escapeHtml(msg.message_content || '')}</div>
-                    </div>
-                `;
-            });
-        });
-        
-        messagesHtml += '</div>';
-        content.innerHTML = messagesHtml;
+        const userInfo = memories[0] || {};
+        conversationTranscript = {
+            userId,
+            userName: userInfo.user_name,
+            userEmail: userInfo.user_email,
+            conversationType: actualType,
+            displayMode,
+            sessions: sortedSessions.map(([sessionId, sessionMessages]) => ({
+                sessionId,
+                // 按時間排序會話內的消息
+                messages: sessionMessages.sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+            }))
+        };
+        transcriptHits = [];
+        transcriptHitIndex = -1;
+        renderConversationTranscript();
         
     } catch (error) {
         console.error('載入對話詳情失敗:', error);
@@ -2779,33 +4223,321 @@ async function viewConversation(userId, conversationType, modeDisplay) {
     }
 }
 
-// 關閉彈窗
-function closeModal(modalId) {
-    const modal = document.getElementById(modalId);
-    modal.classList.remove('active');
-}
+// ===== 對話逐字稿檢視 =====
+let conversationTranscript = null; // { userId, userName, userEmail, conversationType, displayMode, sessions: [{ sessionId, messages }] }
+let transcriptHits = [];
+let transcriptHitIndex = -1;
 
-// 查看腳本（通過索引）
-function viewScriptByIdx(index) {
-    const script = window.allScripts?.[index];
-    if (!script) {
-        showToast('找不到腳本', 'error');
-        return;
-    }
+// 輕量 Markdown 轉 HTML：先跳脫再套用格式，不允許任何原始 HTML
+function renderMarkdown(text) {
+    const inline = line => escapeHtml(line)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, label, url) =>
+            `<a href="${url.replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer">${label}</a>`);
     
-    // 打開彈窗
-    const modal = document.getElementById('script-modal');
-    if (!modal) {
-        console.error('找不到腳本詳情彈窗元素');
-        showToast('無法顯示腳本詳情：缺少必要的UI元素', 'error');
-        return;
-    }
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null; // { tag, items }
     
-    modal.classList.add('active');
+    const flushParagraph = () => {
+        if (paragraph.length) html.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${inline(item)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
     
-    // 顯示載入中
-    const content = document.getElementById('script-detail-content');
-    if (!content) {
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            const code = [];
+            while (i + 1 < lines.length && !/^\s*```/.test(lines[i + 1])) {
+                code.push(lines[++i]);
+            }
+            i++; // 跳過結尾的 ```
+            html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+        
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const ordered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const quote = line.match(/^>\s?(.*)$/);
+        
+        if (heading) {
+            flushParagraph();
+            flushList();
+            html.push(`<h${heading[1].length}>${inline(heading[2])}</h${heading[1].length}>`);
+        } else if (bullet || ordered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push((bullet || ordered)[1]);
+        } else if (quote) {
+            flushParagraph();
+            flushList();
+            html.push(`<blockquote>${inline(quote[1])}</blockquote>`);
+        } else if (!line.trim()) {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line);
+        }
+    }
+    flushParagraph();
+    flushList();
+    return html.join('');
+}
+
+function renderConversationTranscript() {
+    const content = document.getElementById('conversation-detail-content');
+    if (!content || !conversationTranscript) return;
+    const { userId, userName, userEmail, displayMode, sessions } = conversationTranscript;
+    const messageCount = sessions.reduce((sum, session) => sum + session.messages.length, 0);
+    
+    content.innerHTML = `
+        <div class="conversation-detail">
+            <div style="padding: 12px; background: #f8fafc; border-radius: 8px;">
+                <p style="margin: 4px 0;"><strong>用戶：</strong>${escapeHtml(userName || '未知')} <span style="color: #64748b;">${escapeHtml(userEmail || '')}</span></p>
+                <p style="margin: 4px 0;"><strong>用戶ID：</strong><span style="font-family: monospace; color: #64748b;">${escapeHtml(userId)}</span></p>
+                <p style="margin: 4px 0;"><strong>對話類型：</strong>${escapeHtml(displayMode)}</p>
+                <p style="margin: 4px 0;"><strong>消息數：</strong>${messageCount} 條</p>
+            </div>
+            <div class="transcript-toolbar">
+                <input type="search" id="transcript-search" placeholder="搜尋對話內容..." aria-label="搜尋對話內容"
+                       oninput="searchConversationTranscript(this.value)" onkeydown="handleTranscriptSearchKey(event)">
+                <span id="transcript-hit-count" class="transcript-hit-count"></span>
+                <button type="button" class="btn-action btn-view" onclick="gotoTranscriptHit(-1)" title="上一個 (Shift+Enter)">↑</button>
+                <button type="button" class="btn-action btn-view" onclick="gotoTranscriptHit(1)" title="下一個 (Enter)">↓</button>
+                <button type="button" class="btn-action btn-view" onclick="jumpToFirstUserMessage()">👤 第一則用戶訊息</button>
+                <button type="button" class="btn-action btn-edit" onclick="copyConversationTranscript()">📋 複製 Markdown</button>
+                <button type="button" class="btn-action btn-edit" onclick="exportConversationTranscript('md')">📥 Markdown</button>
+                <button type="button" class="btn-action btn-edit" onclick="exportConversationTranscript('json')">📥 JSON</button>
+            </div>
+            <div id="transcript-messages"></div>
+        </div>
+    `;
+    renderTranscriptMessages();
+}
+
+function renderTranscriptMessages() {
+    const container = document.getElementById('transcript-messages');
+    if (!container) return;
+    const { sessions } = conversationTranscript;
+    
+    let html = '';
+    sessions.forEach((session, sessionIndex) => {
+        if (sessions.length > 1) {
+            html += `<div class="transcript-session-divider">會話 ${sessionIndex + 1}・${formatDateTime(session.messages[0]?.created_at)}</div>`;
+        }
+        session.messages.forEach(msg => {
+            const isUser = msg.message_role === 'user';
+            html += `
+                <div class="message-item ${isUser ? 'user' : 'ai'}">
+                    <div class="message-header">
+                        <span class="message-role">${isUser ? '👤 用戶' : '🤖 AI助理'}</span>
+                        <span class="message-time">${formatDateTime(msg.created_at)}</span>
+                    </div>
+                    <div class="message-content markdown-body">${renderMarkdown(msg.message_content)}</div>
+                </div>
+            `;
+        });
+    });
+    container.innerHTML = html;
+}
+
+// 在訊息文字節點中標示關鍵字（不影響 Markdown 產生的標籤）
+function highlightTranscriptMatches(container, query) {
+    const hits = [];
+    const lowerQuery = query.toLowerCase();
+    
+    container.querySelectorAll('.message-content').forEach(contentEl => {
+        const walker = document.createTreeWalker(contentEl, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+        
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const lower = text.toLowerCase();
+            let index = lower.indexOf(lowerQuery);
+            if (index === -1) return;
+            
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            while (index !== -1) {
+                fragment.appendChild(document.createTextNode(text.slice(last, index)));
+                const mark = document.createElement('mark');
+                mark.className = 'transcript-hit';
+                mark.textContent = text.slice(index, index + query.length);
+                fragment.appendChild(mark);
+                hits.push(mark);
+                last = index + query.length;
+                index = lower.indexOf(lowerQuery, last);
+            }
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+    });
+    return hits;
+}
+
+function searchConversationTranscript(query) {
+    const container = document.getElementById('transcript-messages');
+    if (!container) return;
+    
+    renderTranscriptMessages();
+    const keyword = query.trim();
+    transcriptHits = keyword ? highlightTranscriptMatches(container, keyword) : [];
+    transcriptHitIndex = -1;
+    
+    const countEl = document.getElementById('transcript-hit-count');
+    if (countEl) {
+        countEl.textContent = keyword ? (transcriptHits.length ? `0 / ${transcriptHits.length}` : '無結果') : '';
+    }
+    if (transcriptHits.length) gotoTranscriptHit(1);
+}
+
+function gotoTranscriptHit(step) {
+    if (!transcriptHits.length) return;
+    transcriptHits[transcriptHitIndex]?.classList.remove('active');
+    transcriptHitIndex = (transcriptHitIndex + step + transcriptHits.length) % transcriptHits.length;
+    
+    const hit = transcriptHits[transcriptHitIndex];
+    hit.classList.add('active');
+    hit.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    
+    const countEl = document.getElementById('transcript-hit-count');
+    if (countEl) {
+        countEl.textContent = `${transcriptHitIndex + 1} / ${transcriptHits.length}`;
+    }
+}
+
+function handleTranscriptSearchKey(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        gotoTranscriptHit(event.shiftKey ? -1 : 1);
+    }
+}
+
+function jumpToFirstUserMessage() {
+    const message = document.querySelector('#transcript-messages .message-item.user');
+    if (!message) {
+        showToast('此對話沒有用戶訊息', 'info');
+        return;
+    }
+    message.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    message.classList.add('transcript-flash');
+    setTimeout(() => message.classList.remove('transcript-flash'), 1500);
+}
+
+function buildConversationMarkdown() {
+    const { userId, userName, userEmail, displayMode, sessions } = conversationTranscript;
+    const lines = [
+        `# 對話記錄：${displayMode}`,
+        '',
+        `- 用戶：${userName || '未知'}${userEmail ? ` <${userEmail}>` : ''}`,
+        `- 用戶ID：${userId}`,
+        `- 匯出時間：${formatDateTime(new Date().toISOString())}`,
+        ''
+    ];
+    sessions.forEach((session, sessionIndex) => {
+        lines.push(`## 會話 ${sessionIndex + 1}（${session.sessionId}）`, '');
+        session.messages.forEach(msg => {
+            lines.push(`### ${msg.message_role === 'user' ? '👤 用戶' : '🤖 AI助理'}・${formatDateTime(msg.created_at)}`, '');
+            lines.push(msg.message_content || '', '');
+        });
+    });
+    return lines.join('\n');
+}
+
+function buildConversationJson() {
+    const { userId, userName, userEmail, conversationType, sessions } = conversationTranscript;
+    return JSON.stringify({
+        user_id: userId,
+        user_name: userName,
+        user_email: userEmail,
+        conversation_type: conversationType,
+        exported_at: new Date().toISOString(),
+        sessions: sessions.map(session => ({
+            session_id: session.sessionId,
+            messages: session.messages.map(msg => ({
+                role: msg.message_role,
+                content: msg.message_content || '',
+                created_at: msg.created_at
+            }))
+        }))
+    }, null, 2);
+}
+
+function copyConversationTranscript() {
+    if (!conversationTranscript) return;
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        showToast('瀏覽器不支援複製功能', 'error');
+        return;
+    }
+    navigator.clipboard.writeText(buildConversationMarkdown()).then(() => {
+        showToast('已複製對話（Markdown）', 'success');
+    }).catch(err => {
+        console.error('複製失敗:', err);
+        showToast('複製失敗', 'error');
+    });
+}
+
+function exportConversationTranscript(format) {
+    if (!conversationTranscript) return;
+    const { userId, conversationType } = conversationTranscript;
+    const baseName = `conversation-${userId}-${conversationType}-${new Date().toISOString().slice(0, 10)}`;
+    
+    if (format === 'json') {
+        downloadFile(`${baseName}.json`, buildConversationJson(), 'application/json;charset=utf-8');
+    } else {
+        downloadFile(`${baseName}.md`, buildConversationMarkdown(), 'text/markdown;charset=utf-8');
+    }
+    showToast('對話已匯出', 'success');
+}
+
+// 關閉彈窗
+function closeModal(modalId) {
+    const modal = document.getElementById(modalId);
+    modal.classList.remove('active');
+    if (modalId === 'conversation-modal' && routeModal?.startsWith('conversation:')) {
+        closeRouteModal(routeModal);
+    }
+}
+
+// 查看腳本（通過索引）
+function viewScriptByIdx(index) {
+    showScriptDetail(window.allScripts?.[index]);
+}
+
+function showScriptDetail(script) {
+    if (!script) {
+        showToast('找不到腳本', 'error');
+        return;
+    }
+    
+    // 打開彈窗
+    const modal = document.getElementById('script-modal');
+    if (!modal) {
+        console.error('找不到腳本詳情彈窗元素');
+        showToast('無法顯示腳本詳情：缺少必要的UI元素', 'error');
+        return;
+    }
+    
+    modal.classList.add('active');
+    
+    // 顯示載入中
+    const content = document.getElementById('script-detail-content');
+    if (!content) {
         console.error('找不到腳本詳情內容元素');
         modal.classList.remove('active');
         return;
@@ -2861,33 +4593,21 @@ function viewScriptByIdx(index) {
     }, 100);
 }
 
-// 查看腳本（舊版兼容）
-function viewScript(scriptId, scriptContent, scriptTitle) {
-    viewScriptByIdx(0); // 簡單處理，實際應該根據ID查找
+// 依 ID 查看腳本：先找腳本列表，再找客戶時間軸載入的腳本
+function viewScript(scriptId) {
+    const script = (window.allScripts || []).find(s => String(s.id) === String(scriptId)) ||
+                   userTimelineState.scripts.get(String(scriptId));
+    showScriptDetail(script);
 }
 
 // 刪除腳本
 async function deleteScript(scriptId) {
-    if (!confirm('確定要刪除這個腳本嗎？此操作無法復原。')) {
-        return;
-    }
-    
-    try {
-        const response = await adminFetch(`${API_BASE_URL}/admin/scripts/${scriptId}`, {
-            method: 'DELETE'
-        });
-        
-        if (response.ok) {
-            showToast('腳本已刪除', 'success');
-            loadScripts(); // 重新載入列表
-        } else {
-            const error = await response.json();
-            showToast(error.error || '刪除失敗', 'error');
-        }
-    } catch (error) {
-        console.error('刪除腳本失敗:', error);
-        showToast('刪除腳本失敗', 'error');
-    }
+    if (!requirePermission('content.delete')) return;
+    const script = getAuditSnapshot('script', scriptId);
+    await submitApprovalRequest('script.delete', scriptId, {
+        summary: `刪除腳本 ${scriptId}${script ? `（${script.title || script.user_name || script.user_id || '-'}）` : ''}`,
+        before: script
+    });
 }
 
 // ===== 長期記憶管理 =====
@@ -3045,6 +4765,7 @@ async function loadLongTermMemory() {
         }
         
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入長期記憶失敗:', error);
         console.error('錯誤詳情:', error.stack);
         showToast(`載入長期記憶失敗: ${error.message}`, 'error');
@@ -3064,6 +4785,17 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// escapeHtml 不會跳脫引號，放進屬性值（data-*、value）時改用此函式；
+// 事件處理一律從 this.dataset 讀值，不要把資料直接拼進 onclick 的 JS 字串
+function escapeAttr(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
 async function viewUserMemoryDetail(userId) {
     try {
         const response = await adminFetch(`${API_BASE_URL}/admin/long-term-memory/user/${userId}`);
@@ -3163,6 +4895,7 @@ async function loadMemoryStats() {
         document.getElementById('avg-memories-per-user').textContent = data.avg_memories_per_user || 0;
         
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入記憶統計失敗:', error);
     }
 }
@@ -3206,23 +4939,10 @@ function viewMemoryDetail(memoryId) {
 }
 
 function deleteMemory(memoryId) {
-    if (!confirm('確定要刪除這筆記憶記錄嗎？')) return;
-    (async () => {
-        try {
-            const res = await adminFetch(`${API_BASE_URL}/admin/long-term-memory/${memoryId}`, { method: 'DELETE' });
-            if (!res.ok) {
-                const err = await res.json().catch(() => ({}));
-                showToast(err.error || '刪除失敗', 'error');
-                return;
-            }
-            showToast('已刪除', 'success');
-            // 重新載入列表
-            loadLongTermMemory();
-        } catch (e) {
-            console.error('刪除記憶失敗:', e);
-            showToast('刪除失敗', 'error');
-        }
-    })();
+    if (!requirePermission('content.delete')) return;
+    submitApprovalRequest('memory.delete', memoryId, {
+        summary: `刪除長期記憶 ${memoryId}`
+    });
 }
 
 // ===== 腳本管理 =====
@@ -3257,6 +4977,7 @@ async function loadScripts() {
         const response = await adminFetch(`${API_BASE_URL}/admin/scripts`);
         const data = await response.json();
         const allScripts = data.scripts || [];
+        rememberAuditSnapshots('script', allScripts, script => script.id);
         
         // 顯示腳本
         if (allScripts.length === 0) {
@@ -3297,7 +5018,7 @@ async function loadScripts() {
                     </div>
                     <div class="mobile-card-actions">
                         <button class="btn-action btn-view" onclick="viewScriptByIdx(${index})" type="button">查看</button>
-                        <button class="btn-action btn-delete" onclick="deleteScript(${script.id})" type="button">刪除</button>
+                        <button class="btn-action btn-delete" data-permission="content.delete" onclick="deleteScript(${script.id})" type="button">刪除</button>
                     </div>
                 </div>
             `).join('');
@@ -3330,7 +5051,7 @@ async function loadScripts() {
                     <td>${formatDate(script.created_at)}</td>
                     <td>
                         <button class="btn-action btn-view" onclick="viewScriptByIdx(${index})" type="button">查看</button>
-                        <button class="btn-action btn-delete" onclick="deleteScript(${script.id})" type="button">刪除</button>
+                        <button class="btn-action btn-delete" data-permission="content.delete" onclick="deleteScript(${script.id})" type="button">刪除</button>
                     </td>
                 </tr>
             `).join(''));
@@ -3354,6 +5075,7 @@ async function loadScripts() {
         }
         
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入腳本失敗:', error);
         showToast('載入腳本失敗', 'error');
     }
@@ -3540,6 +5262,7 @@ async function loadIpPlanningResults() {
         window.userIpPlanningGroups = userList;
         
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入 IP 人設規劃結果失敗:', error);
         showToast('載入 IP 人設規劃結果失敗', 'error');
     }
@@ -3696,6 +5419,7 @@ async function loadGenerations() {
             }
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入生成記錄失敗:', error);
         showToast('載入生成記錄失敗', 'error');
     }
@@ -3801,6 +5525,7 @@ async function loadAnalytics() {
             }
         });
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入分析數據失敗:', error);
         showToast('載入分析數據失敗', 'error');
     }
@@ -3859,7 +5584,9 @@ let currentSubscriptionUserId = null;
 
 // 顯示升級方案彈窗（用於已訂閱用戶）
 function showUpgradePlanModal(userId, currentPlan) {
+    if (!requirePermission('subscription.manage')) return;
     currentSubscriptionUserId = userId;
+    bulkUserActionMode = null;
     
     // 設置彈窗標題
     const modalTitle = document.querySelector('#subscription-modal .modal-header h3');
@@ -3872,7 +5599,9 @@ function showUpgradePlanModal(userId, currentPlan) {
 }
 
 async function toggleSubscribe(userId, subscribe) {
+    if (!requirePermission('subscription.manage')) return;
     currentSubscriptionUserId = userId;
+    bulkUserActionMode = null;
     
     if (subscribe) {
         // 啟用訂閱：顯示訂閱設置彈窗
@@ -3997,7 +5726,7 @@ function initSubscriptionPeriodStyles() {
 }
 
 async function confirmSubscription() {
-    if (!currentSubscriptionUserId) {
+    if (!currentSubscriptionUserId && bulkUserActionMode !== 'plan') {
         showToast('錯誤：找不到用戶ID', 'error');
         return;
     }
@@ -4030,6 +5759,20 @@ async function confirmSubscription() {
     // 關閉彈窗
     closeModal('subscription-modal');
     
+    // 批次變更方案
+    if (bulkUserActionMode === 'plan') {
+        bulkUserActionMode = null;
+        const requestBody = buildSubscriptionRequestBody(true, subscriptionDays, note, selectedPlanType, tier);
+        await runBulkUserOperation('變更方案', [...selectedUsers.keys()], userId =>
+            adminFetch(`${API_BASE_URL}/admin/users/${userId}/subscription`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(requestBody)
+            })
+        );
+        return;
+    }
+    
     // 執行訂閱啟用
     await executeSubscriptionToggle(currentSubscriptionUserId, true, subscriptionDays, note, selectedPlanType, tier);
     
@@ -4037,33 +5780,39 @@ async function confirmSubscription() {
     currentSubscriptionUserId = null;
 }
 
-async function executeSubscriptionToggle(userId, subscribe, subscriptionDays, note, planType, tier) {
-    try {
-        const requestBody = {
-            is_subscribed: subscribe
-        };
+// 組合訂閱 API 的請求內容（單一用戶與批次操作共用）
+function buildSubscriptionRequestBody(subscribe, subscriptionDays, note, planType, tier) {
+    const requestBody = {
+        is_subscribed: subscribe
+    };
+    
+    // 如果啟用訂閱，添加期限、方案類型和備註
+    if (subscribe && subscriptionDays) {
+        requestBody.subscription_days = subscriptionDays;
         
-        // 如果啟用訂閱，添加期限、方案類型和備註
-        if (subscribe && subscriptionDays) {
-            requestBody.subscription_days = subscriptionDays;
-            
-            // 設置方案類型（product_tier）
-            if (planType === 'vip') {
-                // VIP 方案：product_tier 為 null
-                requestBody.product_tier = null;
-                // VIP 方案使用 vip 或 lifetime tier
-                requestBody.tier = tier === 'lifetime' ? 'lifetime' : 'vip';
-            } else {
-                // 產品方案：lite/pro/max
-                requestBody.product_tier = planType; // lite/pro/max
-                requestBody.tier = tier; // monthly/yearly
-            }
-            
-            if (note) {
-                requestBody.admin_note = note;
-            }
+        // 設置方案類型（product_tier）
+        if (planType === 'vip') {
+            // VIP 方案：product_tier 為 null
+            requestBody.product_tier = null;
+            // VIP 方案使用 vip 或 lifetime tier
+            requestBody.tier = tier === 'lifetime' ? 'lifetime' : 'vip';
+        } else {
+            // 產品方案：lite/pro/max
+            requestBody.product_tier = planType; // lite/pro/max
+            requestBody.tier = tier; // monthly/yearly
         }
         
+        if (note) {
+            requestBody.admin_note = note;
+        }
+    }
+    
+    return requestBody;
+}
+
+async function executeSubscriptionToggle(userId, subscribe, subscriptionDays, note, planType, tier) {
+    try {
+        const requestBody = buildSubscriptionRequestBody(subscribe, subscriptionDays, note, planType, tier);
         const response = await adminFetch(`${API_BASE_URL}/admin/users/${userId}/subscription`, {
             method: 'PUT',
             headers: {
@@ -4148,22 +5897,57 @@ async function exportData(type) {
     return await exportCSV(type);
 }
 
-async function exportCSV(type) {
+// 將物件陣列轉為 CSV 並下載（欄位取第一筆資料的鍵）
+function downloadCSV(filename, rows) {
+    if (!rows.length) return;
+    
+    const headers = Object.keys(rows[0]);
+    const escapeCell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csv = [headers, ...rows.map(row => headers.map(h => row[h]))]
+        .map(cells => cells.map(escapeCell).join(','))
+        .join('\r\n');
+    
+    // 加上 BOM，讓 Excel 正確辨識 UTF-8 中文
+    downloadFile(filename, '\ufeff' + csv, 'text/csv;charset=utf-8');
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+// params：篩選條件（URLSearchParams），有條件時檔名加上日期
+async function exportCSV(type, params = null) {
     try {
-        const response = await adminFetch(`${API_BASE_URL}/admin/export/${type}`);
+        const query = params && params.toString() ? `?${params}` : '';
+        const response = await adminFetch(`${API_BASE_URL}/admin/export/${type}${query}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
         const blob = await response.blob();
+        const filename = query ? `${type}-filtered-${new Date().toISOString().slice(0, 10)}.csv` : `${type}.csv`;
         
         // 創建下載連結
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${type}.csv`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         window.URL.revokeObjectURL(url);
         
-        showToast(`已匯出 ${type}.csv`, 'success');
+        showToast(`已匯出 ${filename}`, 'success');
     } catch (error) {
         console.error('匯出 CSV 失敗:', error);
         showToast('匯出 CSV 失敗', 'error');
@@ -4202,6 +5986,7 @@ async function loadUsageStatistics() {
         // 顯示最活躍用戶
         displayTopUsers(data.top_active_users || []);
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入使用統計失敗:', error);
         showToast('載入使用統計失敗', 'error');
     }
@@ -4352,6 +6137,7 @@ async function loadLlmKeysStatus() {
         // 顯示已綁定用戶列表
         displayLlmBoundUsers(data.bound_users || []);
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入 LLM Key 綁定狀態失敗:', error);
         showToast('載入 LLM Key 綁定狀態失敗', 'error');
     }
@@ -4577,6 +6363,10 @@ function logout() {
         localStorage.removeItem('admin_token');
         localStorage.removeItem('admin_login_time');
         
+        // 清除緩存（包含離線資料，避免下一位登入者看到）
+        clearApiCache();
+        clearPersistentCacheQuietly();
+        
         // 顯示登入提示
         showLoginRequired('已登出');
         
@@ -4612,6 +6402,9 @@ async function loadAdminSettings() {
             document.getElementById('login-time').textContent = '-';
         }
         
+        // 顯示 API 環境設定
+        renderApiEnvironmentSettings();
+        
         // 載入管理員列表
         await loadAdmins();
     } catch (error) {
@@ -4619,20 +6412,101 @@ async function loadAdminSettings() {
     }
 }
 
+// ===== API 環境切換 =====
+// 在頂部導航顯示目前環境標籤
+function renderApiEnvironmentBadge() {
+    const badge = document.getElementById('api-env-badge');
+    if (!badge) return;
+    
+    const envName = getCurrentApiEnvironment();
+    const env = API_ENVIRONMENTS[envName];
+    badge.textContent = env.shortLabel;
+    badge.title = `${env.label}：${API_BASE_URL}`;
+    badge.style.background = env.color;
+}
+
+// 在系統設定頁面顯示環境選擇器
+function renderApiEnvironmentSettings() {
+    const select = document.getElementById('api-env-select');
+    const urlInput = document.getElementById('api-env-url');
+    if (!select || !urlInput) return;
+    
+    const currentEnv = getCurrentApiEnvironment();
+    select.innerHTML = Object.entries(API_ENVIRONMENTS).map(([envName, env]) => 
+        `<option value="${envName}" ${envName === currentEnv ? 'selected' : ''}>${env.label}</option>`
+    ).join('');
+    urlInput.value = getApiEnvironmentBaseUrl(currentEnv);
+    
+    const currentUrlEl = document.getElementById('api-env-current-url');
+    if (currentUrlEl) {
+        currentUrlEl.textContent = API_BASE_URL;
+    }
+}
+
+// 選擇器變更時，帶入該環境的網址
+function onApiEnvironmentSelectChange(envName) {
+    const urlInput = document.getElementById('api-env-url');
+    if (urlInput) {
+        urlInput.value = getApiEnvironmentBaseUrl(envName);
+    }
+}
+
+// 切換 API 環境（會清除緩存、CSRF Token 與管理員 Token，並重新載入頁面）
+function switchApiEnvironment() {
+    const envName = document.getElementById('api-env-select')?.value;
+    const url = (document.getElementById('api-env-url')?.value || '').trim().replace(/\/+$/, '');
+    
+    if (!API_ENVIRONMENTS[envName]) {
+        showToast('未知的環境', 'error');
+        return;
+    }
+    
+    if (!/^https?:\/\//.test(url)) {
+        showToast('請輸入有效的 API 網址（需以 http:// 或 https:// 開頭）', 'error');
+        return;
+    }
+    
+    if (envName === getCurrentApiEnvironment() && url === API_BASE_URL) {
+        showToast('已經是目前使用的環境', 'info');
+        return;
+    }
+    
+    if (!confirm(`確定要切換到「${API_ENVIRONMENTS[envName].label}」嗎？\n\nAPI 網址：${url}\n\n切換後需要重新登入。`)) {
+        return;
+    }
+    
+    // 保存環境選擇（與預設網址相同時不保存自訂網址）
+    const overrides = getApiEnvironmentUrlOverrides();
+    if (url === API_ENVIRONMENTS[envName].baseUrl) {
+        delete overrides[envName];
+    } else {
+        overrides[envName] = url;
+    }
+    localStorage.setItem(API_ENV_URLS_STORAGE_KEY, JSON.stringify(overrides));
+    localStorage.setItem(API_ENV_STORAGE_KEY, envName);
+    
+    // 不同環境的資料與認證不可共用：清除緩存、CSRF Token 與管理員 Token
+    clearApiCache();
+    setAdminToken('');
+    localStorage.removeItem('admin_token');
+    localStorage.removeItem('admin_login_time');
+    
+    clearPersistentCacheQuietly().finally(() => location.reload());
+}
+
 // ===== 管理員管理功能 =====
 
 // 提權為管理員
 async function promoteToAdmin(email) {
+    if (!requirePermission('admins.manage')) return;
     if (!confirm(`確定要將 ${email} 提升為管理員嗎？\n\n系統將自動生成一個隨機密碼，請妥善保存並傳遞給新管理員。`)) {
         return;
     }
     
     try {
-        const token = getAdminToken();
-        const response = await fetch(`${API_BASE_URL}/admin/admins/promote`, {
+        const response = await adminFetch(`${API_BASE_URL}/admin/admins/promote`, {
             method: 'POST',
             headers: {
-                'Authorization': `Bearer ${token}`,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ email, name: '' })
@@ -4665,6 +6539,7 @@ async function promoteToAdmin(email) {
             showToast(data.error || '提權失敗', 'error');
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('提權錯誤:', error);
         showToast('網路錯誤，請稍後再試', 'error');
     }
@@ -4672,6 +6547,7 @@ async function promoteToAdmin(email) {
 
 // 升級為永久使用方案（VIP 永久方案）
 async function upgradeToLifetime(userId) {
+    if (!requirePermission('subscription.manage')) return;
     if (!confirm('確定要將此用戶升級為 VIP 永久使用方案嗎？\n\n升級後用戶將擁有：\n- VIP 方案權限（每日 1,000，每月 30,000，Premium 5,000）\n- IP 人設規劃功能\n- 一鍵生成（無限制次數）\n- 創作者資料庫（PDF/CSV 下載）\n- 永久有效')) {
         return;
     }
@@ -4719,6 +6595,7 @@ async function loadAdmins() {
             showToast('載入管理員列表失敗', 'error');
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入管理員列表錯誤:', error);
         showToast('載入管理員列表失敗', 'error');
     }
@@ -4751,6 +6628,7 @@ function displayAdmins(admins) {
         // 手機版：卡片式佈局
         adminsContainer.innerHTML = `
             <h3 style="margin-bottom: 16px;">管理員列表</h3>
+            ${renderAdminRoleLegend()}
             <div class="mobile-cards-container">
                 ${admins.map(admin => `
                     <div class="mobile-card">
@@ -4764,16 +6642,20 @@ function displayAdmins(admins) {
                             <span class="mobile-card-label">Email</span>
                             <span class="mobile-card-value">${admin.email}</span>
                         </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">角色</span>
+                            <span class="mobile-card-value">${renderAdminRoleCell(admin)}</span>
+                        </div>
                         <div class="mobile-card-row">
                             <span class="mobile-card-label">建立時間</span>
                             <span class="mobile-card-value">${formatDateTime(admin.created_at)}</span>
                         </div>
                         <div class="mobile-card-actions">
                             ${admin.is_active ? 
-                                `<button class="btn-action btn-danger" onclick="deactivateAdmin(${admin.id})" type="button">停用</button>` :
-                                `<button class="btn-action btn-success" onclick="activateAdmin(${admin.id})" type="button">啟用</button>`
+                                `<button class="btn-action btn-danger" data-permission="admins.manage" onclick="deactivateAdmin(${admin.id})" type="button">停用</button>` :
+                                `<button class="btn-action btn-success" data-permission="admins.manage" onclick="activateAdmin(${admin.id})" type="button">啟用</button>`
                             }
-                            <button class="btn-action btn-warning" onclick="resetAdminPassword(${admin.id})" type="button">重置密碼</button>
+                            <button class="btn-action btn-warning" data-permission="admins.manage" onclick="resetAdminPassword(${admin.id})" type="button">重置密碼</button>
                         </div>
                     </div>
                 `).join('')}
@@ -4783,6 +6665,7 @@ function displayAdmins(admins) {
         // 桌面版：表格佈局
         adminsContainer.innerHTML = `
             <h3 style="margin-bottom: 16px;">管理員列表</h3>
+            ${renderAdminRoleLegend()}
             <div class="table-container">
                 <table style="width: 100%; border-collapse: collapse;">
                     <thead>
@@ -4790,6 +6673,7 @@ function displayAdmins(admins) {
                             <th style="padding: 12px; text-align: left;">ID</th>
                             <th style="padding: 12px; text-align: left;">Email</th>
                             <th style="padding: 12px; text-align: left;">名稱</th>
+                            <th style="padding: 12px; text-align: left;">角色</th>
                             <th style="padding: 12px; text-align: left;">狀態</th>
                             <th style="padding: 12px; text-align: left;">建立時間</th>
                             <th style="padding: 12px; text-align: left;">操作</th>
@@ -4801,6 +6685,7 @@ function displayAdmins(admins) {
                                 <td style="padding: 12px;">${admin.id}</td>
                                 <td style="padding: 12px;">${admin.email}</td>
                                 <td style="padding: 12px;">${admin.name || '-'}</td>
+                                <td style="padding: 12px;">${renderAdminRoleCell(admin)}</td>
                                 <td style="padding: 12px;">
                                     <span class="badge ${admin.is_active ? 'badge-success' : 'badge-danger'}">
                                         ${admin.is_active ? '啟用' : '停用'}
@@ -4809,10 +6694,10 @@ function displayAdmins(admins) {
                                 <td style="padding: 12px;">${formatDateTime(admin.created_at)}</td>
                                 <td style="padding: 12px;">
                                     ${admin.is_active ? 
-                                        `<button class="btn-action btn-danger" onclick="deactivateAdmin(${admin.id})" type="button">停用</button>` :
-                                        `<button class="btn-action btn-success" onclick="activateAdmin(${admin.id})" type="button">啟用</button>`
+                                        `<button class="btn-action btn-danger" data-permission="admins.manage" onclick="deactivateAdmin(${admin.id})" type="button">停用</button>` :
+                                        `<button class="btn-action btn-success" data-permission="admins.manage" onclick="activateAdmin(${admin.id})" type="button">啟用</button>`
                                     }
-                                    <button class="btn-action btn-warning" onclick="resetAdminPassword(${admin.id})" type="button">重置密碼</button>
+                                    <button class="btn-action btn-warning" data-permission="admins.manage" onclick="resetAdminPassword(${admin.id})" type="button">重置密碼</button>
                                 </td>
                             </tr>
                         `).join('')}
@@ -4823,8 +6708,64 @@ function displayAdmins(admins) {
     }
 }
 
+// 角色欄位：超級管理員可直接切換，其他角色僅顯示
+function renderAdminRoleCell(admin) {
+    const role = ADMIN_ROLES[admin.role] ? admin.role : 'viewer';
+    if (!hasPermission('admins.manage')) {
+        return `<span class="badge">${ADMIN_ROLES[role].label}</span>`;
+    }
+    return `
+        <select onchange="updateAdminRole(${admin.id}, this.value, this)" data-previous-role="${role}" aria-label="管理員角色" style="padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 6px;">
+            ${Object.entries(ADMIN_ROLES).map(([value, info]) => `<option value="${value}" ${value === role ? 'selected' : ''}>${info.label}</option>`).join('')}
+        </select>
+    `;
+}
+
+function renderAdminRoleLegend() {
+    return `
+        <div style="display: flex; flex-wrap: wrap; gap: 8px 16px; margin-bottom: 12px; font-size: 0.85rem; color: #64748b;">
+            ${Object.values(ADMIN_ROLES).map(info => `<span><strong style="color: #1e293b;">${info.label}</strong>：${info.description}</span>`).join('')}
+        </div>
+    `;
+}
+
+// 變更管理員角色
+async function updateAdminRole(adminId, role, selectEl) {
+    const previousRole = selectEl?.dataset.previousRole || null;
+    if (!requirePermission('admins.manage') || !confirm(`確定要將此管理員的角色變更為「${ADMIN_ROLES[role].label}」嗎？`)) {
+        if (selectEl && previousRole) selectEl.value = previousRole;
+        return;
+    }
+    
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/admins/${adminId}/role`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ role })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            showToast(data.message || `✅ 已變更為${ADMIN_ROLES[role].label}`, 'success');
+            loadAdmins();
+        } else {
+            showToast(data.error || '變更角色失敗', 'error');
+            if (selectEl && previousRole) selectEl.value = previousRole;
+        }
+    } catch (error) {
+        if (selectEl && previousRole) selectEl.value = previousRole;
+        if (isHandledRequestError(error)) return;
+        console.error('變更管理員角色錯誤:', error);
+        showToast('操作失敗，請稍後再試', 'error');
+    }
+}
+
 // 停用管理員
 async function deactivateAdmin(adminId) {
+    if (!requirePermission('admins.manage')) return;
     if (!confirm('確定要停用此管理員的權限嗎？')) {
         return;
     }
@@ -4850,6 +6791,7 @@ async function deactivateAdmin(adminId) {
 
 // 啟用管理員
 async function activateAdmin(adminId) {
+    if (!requirePermission('admins.manage')) return;
     try {
         const response = await adminFetch(`${API_BASE_URL}/admin/admins/${adminId}/activate`, {
             method: 'PUT'
@@ -4871,6 +6813,7 @@ async function activateAdmin(adminId) {
 
 // 重置管理員密碼
 async function resetAdminPassword(adminId) {
+    if (!requirePermission('admins.manage')) return;
     const newPassword = prompt('請輸入新密碼（至少 8 個字元）：');
     
     if (!newPassword) {
@@ -4919,6 +6862,7 @@ let currentLLMKeyUserId = null;
 
 // 顯示設置 LLM Key 彈窗
 function showSetLLMKeyModal(userId) {
+    if (!requirePermission('llm_key.manage')) return;
     currentLLMKeyUserId = userId;
     
     // 創建或獲取彈窗
@@ -4986,6 +6930,7 @@ function showSetLLMKeyModal(userId) {
 
 // 確認設置 LLM Key
 async function confirmSetLLMKey() {
+    if (!requirePermission('llm_key.manage')) return;
     if (!currentLLMKeyUserId) {
         showToast('錯誤：找不到用戶ID', 'error');
         return;
@@ -5041,6 +6986,7 @@ async function confirmSetLLMKey() {
 
 // 刪除用戶 LLM Key
 async function deleteUserLLMKey(userId, provider) {
+    if (!requirePermission('llm_key.manage')) return;
     if (!confirm(`確定要刪除此用戶的 ${provider.toUpperCase()} LLM Key 嗎？`)) {
         return;
     }
@@ -5071,11 +7017,30 @@ async function deleteUserLLMKey(userId, provider) {
 }
 
 // ===== 用量調整功能 =====
+// 各方案的用量上限（用戶詳情與用量監控共用）
+const PLAN_USAGE_LIMITS = {
+    'free': { daily: 10, monthly: 100, premium_monthly: 0 },
+    'lite': { daily: 20, monthly: 300, premium_monthly: 0 },
+    'pro': { daily: 300, monthly: 10000, premium_monthly: 2000 },
+    'max': { daily: 1000, monthly: 30000, premium_monthly: 5000 },
+    'vip': { daily: 1000, monthly: 30000, premium_monthly: 5000 }
+};
+
 let currentAdjustUsageUserId = null;
+// 調整成功後的處理（未指定時重新開啟用戶詳情）
+let adjustUsageOnSuccess = null;
 
 // 顯示調整用量彈窗
-function showAdjustUsageModal(userId) {
+function showAdjustUsageModal(userId, onSuccess = null) {
+    if (!requirePermission('usage.adjust')) return;
     currentAdjustUsageUserId = userId;
+    adjustUsageOnSuccess = onSuccess;
+    bulkUserActionMode = null;
+    
+    const modalTitle = document.querySelector('#adjust-usage-modal .modal-header h3');
+    if (modalTitle) {
+        modalTitle.textContent = '補充/調整用量';
+    }
     
     // 重置表單
     document.getElementById('usage-daily-adjust').value = '';
@@ -5092,7 +7057,8 @@ function showAdjustUsageModal(userId) {
 
 // 確認調整用量
 async function confirmAdjustUsage() {
-    if (!currentAdjustUsageUserId) {
+    const isBulk = bulkUserActionMode === 'usage';
+    if (!currentAdjustUsageUserId && !isBulk) {
         showToast('錯誤：找不到用戶ID', 'error');
         return;
     }
@@ -5114,21 +7080,36 @@ async function confirmAdjustUsage() {
     if (monthlyAdjust !== 0) adjustText.push(`每月：${monthlyAdjust > 0 ? '+' : ''}${monthlyAdjust}`);
     if (premiumAdjust !== 0) adjustText.push(`Premium：${premiumAdjust > 0 ? '+' : ''}${premiumAdjust}`);
     
-    if (!confirm(`確定要調整此用戶的用量嗎？\n\n${adjustText.join('\n')}`)) {
+    const targetText = isBulk ? `選取的 ${selectedUsers.size} 位用戶` : '此用戶';
+    if (!confirm(`確定要調整${targetText}的用量嗎？\n\n${adjustText.join('\n')}`)) {
+        return;
+    }
+    
+    const requestBody = {
+        daily_adjust: dailyAdjust,
+        monthly_adjust: monthlyAdjust,
+        premium_monthly_adjust: premiumAdjust
+    };
+    
+    if (note) {
+        requestBody.admin_note = note;
+    }
+    
+    // 批次補充用量
+    if (isBulk) {
+        bulkUserActionMode = null;
+        closeModal('adjust-usage-modal');
+        await runBulkUserOperation('補充用量', [...selectedUsers.keys()], userId =>
+            adminFetch(`${API_BASE_URL}/admin/users/${userId}/usage/adjust`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(requestBody)
+            })
+        );
         return;
     }
     
     try {
-        const requestBody = {
-            daily_adjust: dailyAdjust,
-            monthly_adjust: monthlyAdjust,
-            premium_monthly_adjust: premiumAdjust
-        };
-        
-        if (note) {
-            requestBody.admin_note = note;
-        }
-        
         const response = await adminFetch(`${API_BASE_URL}/admin/users/${currentAdjustUsageUserId}/usage/adjust`, {
             method: 'PUT',
             headers: {
@@ -5142,12 +7123,15 @@ async function confirmAdjustUsage() {
             showToast('✅ 用量調整成功', 'success');
             closeModal('adjust-usage-modal');
             
-            // 如果用戶詳情彈窗已打開，重新載入用戶詳情
-            if (currentAdjustUsageUserId) {
+            if (adjustUsageOnSuccess) {
+                adjustUsageOnSuccess();
+            } else if (currentAdjustUsageUserId) {
+                // 如果用戶詳情彈窗已打開，重新載入用戶詳情
                 viewUser(currentAdjustUsageUserId);
             }
             
             currentAdjustUsageUserId = null;
+            adjustUsageOnSuccess = null;
         } else {
             const error = await response.json();
             showToast(error.error || '調整失敗', 'error');
@@ -5158,93 +7142,1219 @@ async function confirmAdjustUsage() {
     }
 }
 
-// 確保函數在全局作用域中可用
-window.promoteToAdmin = promoteToAdmin;
-window.upgradeToLifetime = upgradeToLifetime;
-window.showUpgradePlanModal = showUpgradePlanModal;
-window.showAdjustUsageModal = showAdjustUsageModal;
-window.confirmAdjustUsage = confirmAdjustUsage;
-window.showSetLLMKeyModal = showSetLLMKeyModal;
-window.confirmSetLLMKey = confirmSetLLMKey;
-window.deleteUserLLMKey = deleteUserLLMKey;
-window.deactivateAdmin = deactivateAdmin;
-window.activateAdmin = activateAdmin;
-window.resetAdminPassword = resetAdminPassword;
+// ===== 用量監控 =====
+const QUOTA_TYPES = {
+    daily: { label: '每日', usedField: 'daily_used', limitField: 'daily_limit' },
+    monthly: { label: '每月', usedField: 'monthly_used', limitField: 'monthly_limit' },
+    premium_monthly: { label: 'Premium', usedField: 'premium_monthly_used', limitField: 'premium_monthly_limit' }
+};
+const QUOTA_UPSELL_NEXT_PLAN = { free: 'lite', lite: 'pro', pro: 'max' };
+const QUOTA_UPSELL_MIN_EXHAUSTED_DAYS = 3;
+
+let quotaMonitorUsers = [];
+
+// 後端有個別上限（已補充用量）時優先使用，否則依方案預設上限
+function getUserQuotaUsage(user) {
+    const planLimits = PLAN_USAGE_LIMITS[user.plan] || PLAN_USAGE_LIMITS.free;
+    const usage = {};
+    Object.entries(QUOTA_TYPES).forEach(([type, config]) => {
+        const limit = Number(user[config.limitField] ?? planLimits[type]) || 0;
+        const used = Number(user[config.usedField]) || 0;
+        usage[type] = { used, limit, percent: limit > 0 ? used / limit * 100 : 0 };
+    });
+    return usage;
+}
 
-// ===== 檔案選擇處理 =====
-function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-        if (!file.name.endsWith('.csv')) {
-            showToast('請選擇 CSV 檔案', 'error');
-            event.target.value = '';
-            return;
+function getQuotaUpsellPlan(user) {
+    return (user.exhausted_days_30d || 0) >= QUOTA_UPSELL_MIN_EXHAUSTED_DAYS ? QUOTA_UPSELL_NEXT_PLAN[user.plan || 'free'] || null : null;
+}
+
+async function loadQuotaMonitor() {
+    const container = document.getElementById('quota-monitor-table');
+    if (!container) return;
+
+    try {
+        const threshold = document.getElementById('quota-filter-threshold')?.value || '80';
+        const response = await adminFetch(`${API_BASE_URL}/admin/usage/quota-monitor?threshold=${threshold}`);
+        const data = await response.json();
+        quotaMonitorUsers = (data.users || []).map(user => ({
+            ...user,
+            usage: getUserQuotaUsage(user),
+            upsellPlan: getQuotaUpsellPlan(user)
+        }));
+        renderQuotaMonitor();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('載入用量監控失敗:', error);
+        showToast('載入用量監控失敗', 'error');
+    }
+}
+
+function getFilteredQuotaMonitorUsers() {
+    const threshold = Number(document.getElementById('quota-filter-threshold')?.value) || 80;
+    const type = document.getElementById('quota-filter-type')?.value || '';
+    const plan = document.getElementById('quota-filter-plan')?.value || '';
+    const upsellOnly = document.getElementById('quota-filter-upsell')?.value === 'upsell';
+    const types = type ? [type] : Object.keys(QUOTA_TYPES);
+
+    return quotaMonitorUsers
+        .filter(user =>
+            (!plan || (user.plan || 'free') === plan) &&
+            (!upsellOnly || user.upsellPlan) &&
+            types.some(key => user.usage[key].limit > 0 && user.usage[key].percent >= threshold)
+        )
+        .sort((a, b) => Math.max(...types.map(key => b.usage[key].percent)) - Math.max(...types.map(key => a.usage[key].percent)));
+}
+
+function renderQuotaMonitor() {
+    const container = document.getElementById('quota-monitor-table');
+    if (!container) return;
+    const list = getFilteredQuotaMonitorUsers();
+    const isAtLimit = user => Object.values(user.usage).some(item => item.limit > 0 && item.percent >= 100);
+
+    document.getElementById('quota-near-limit-count').textContent = list.filter(user => !isAtLimit(user)).length;
+    document.getElementById('quota-at-limit-count').textContent = list.filter(isAtLimit).length;
+    document.getElementById('quota-upsell-count').textContent = list.filter(user => user.upsellPlan).length;
+
+    if (list.length === 0) {
+        setHTML(container, '<div style="text-align: center; padding: 2rem;">沒有接近用量上限的用戶</div>');
+        return;
+    }
+
+    const usageCell = item => {
+        if (item.limit <= 0) return '<span style="color: #94a3b8;">-</span>';
+        const percent = Math.min(100, item.percent);
+        const color = percent >= 90 ? '#ef4444' : percent >= 70 ? '#f59e0b' : '#10b981';
+        return `
+            <div style="min-width: 90px;">
+                <div style="font-weight: 600; color: ${color};">${item.used.toLocaleString()} / ${item.limit.toLocaleString()}</div>
+                <div style="width: 100%; height: 6px; background: #e5e7eb; border-radius: 3px; overflow: hidden;">
+                    <div style="width: ${percent}%; height: 100%; background: ${color};"></div>
+                </div>
+            </div>
+        `;
+    };
+    const planLabel = user => getPlanLabel(user.plan || 'free');
+    const upsellCell = user => user.upsellPlan
+        ? `<span class="badge badge-success">建議升級 ${escapeHtml(getPlanLabel(user.upsellPlan))}</span>`
+        : '-';
+    const actions = user => `
+        <button class="btn-action btn-view" data-user-id="${escapeAttr(user.user_id)}" onclick="viewUser(this.dataset.userId)" type="button">查看</button>
+        <button class="btn-action btn-edit" data-user-id="${escapeAttr(user.user_id)}" data-permission="usage.adjust" onclick="showAdjustUsageModal(this.dataset.userId, loadQuotaMonitor)" type="button">補充用量</button>
+    `;
+
+    if (window.innerWidth <= 768) {
+        setHTML(container, `
+            <div class="mobile-cards-container">
+                ${list.map(user => `
+                    <div class="mobile-card">
+                        <div class="mobile-card-header">
+                            <span class="mobile-card-title">${escapeHtml(user.name || user.email || user.user_id)}</span>
+                            <span class="mobile-card-badge">${escapeHtml(planLabel(user))}</span>
+                        </div>
+                        ${Object.entries(QUOTA_TYPES).map(([type, config]) => `
+                            <div class="mobile-card-row">
+                                <span class="mobile-card-label">${config.label}額度</span>
+                                <span class="mobile-card-value">${usageCell(user.usage[type])}</span>
+                            </div>
+                        `).join('')}
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">近 30 天用盡</span>
+                            <span class="mobile-card-value">${user.exhausted_days_30d || 0} 天</span>
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">建議</span>
+                            <span class="mobile-card-value">${upsellCell(user)}</span>
+                        </div>
+                        <div class="mobile-card-actions">${actions(user)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `);
+        return;
+    }
+
+    setHTML(container, `
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>用戶</th>
+                        <th>方案</th>
+                        ${Object.values(QUOTA_TYPES).map(config => `<th>${config.label}額度</th>`).join('')}
+                        <th>近 30 天用盡</th>
+                        <th>最後用盡</th>
+                        <th>建議</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${list.map(user => `
+                        <tr>
+                            <td>
+                                <div>${escapeHtml(user.name || '-')}</div>
+                                <div style="font-size: 0.85rem; color: #64748b;">${escapeHtml(user.email || '')}</div>
+                            </td>
+                            <td>${escapeHtml(planLabel(user))}</td>
+                            ${Object.keys(QUOTA_TYPES).map(type => `<td>${usageCell(user.usage[type])}</td>`).join('')}
+                            <td>${user.exhausted_days_30d || 0} 天</td>
+                            <td>${user.last_exhausted_at ? calculateTimeAgo(user.last_exhausted_at) : '-'}</td>
+                            <td>${upsellCell(user)}</td>
+                            <td>${actions(user)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+}
+
+// ===== 批次用戶操作 =====
+// 已選取的用戶（跨頁保留）：user_id → 用戶資料
+const selectedUsers = new Map();
+let currentUsersList = [];
+// 目前批次操作的類型（'plan' / 'usage'），由訂閱與用量彈窗的確認按鈕判斷
+let bulkUserActionMode = null;
+let lastBulkOperation = null;
+
+function toggleUserSelection(userId, checked) {
+    const user = currentUsersList.find(u => u.user_id === userId);
+    if (checked && user) {
+        selectedUsers.set(userId, user);
+    } else {
+        selectedUsers.delete(userId);
+    }
+    updateUsersBulkBar();
+}
+
+// 全選/取消全選本頁
+function toggleSelectAllUsers(checked) {
+    currentUsersList.forEach(user => {
+        if (checked) {
+            selectedUsers.set(user.user_id, user);
+        } else {
+            selectedUsers.delete(user.user_id);
         }
+    });
+    document.querySelectorAll('.user-select-checkbox').forEach(cb => {
+        cb.checked = checked;
+    });
+    updateUsersBulkBar();
+}
+
+function clearUserSelection() {
+    selectedUsers.clear();
+    document.querySelectorAll('.user-select-checkbox').forEach(cb => {
+        cb.checked = false;
+    });
+    updateUsersBulkBar();
+}
+
+function updateUsersBulkBar() {
+    const count = selectedUsers.size;
+    const countEl = document.getElementById('users-bulk-count');
+    if (countEl) {
+        countEl.textContent = `已選取 ${count} 位用戶`;
+    }
+    document.querySelectorAll('#users-bulk-bar [data-requires-selection]').forEach(btn => {
+        btn.disabled = count === 0;
+    });
+    
+    const selectAll = document.getElementById('users-select-all');
+    if (selectAll) {
+        const selectedOnPage = currentUsersList.filter(u => selectedUsers.has(u.user_id)).length;
+        selectAll.checked = currentUsersList.length > 0 && selectedOnPage === currentUsersList.length;
+        selectAll.indeterminate = selectedOnPage > 0 && selectedOnPage < currentUsersList.length;
+    }
+}
+
+// 批次變更方案（沿用訂閱設定彈窗）
+function showBulkUpgradePlanModal() {
+    if (!requirePermission('subscription.manage')) return;
+    if (selectedUsers.size === 0) return;
+    bulkUserActionMode = 'plan';
+    currentSubscriptionUserId = null;
+    
+    const modalTitle = document.querySelector('#subscription-modal .modal-header h3');
+    if (modalTitle) {
+        modalTitle.textContent = `批次變更方案（${selectedUsers.size} 位用戶）`;
+    }
+    showSubscriptionModal(null);
+}
+
+// 批次補充用量（沿用用量調整彈窗）
+function showBulkAdjustUsageModal() {
+    if (!requirePermission('usage.adjust')) return;
+    if (selectedUsers.size === 0) return;
+    showAdjustUsageModal(null);
+    bulkUserActionMode = 'usage';
+    
+    const modalTitle = document.querySelector('#adjust-usage-modal .modal-header h3');
+    if (modalTitle) {
+        modalTitle.textContent = `批次補充用量（${selectedUsers.size} 位用戶）`;
+    }
+}
+
+async function bulkCancelSubscription() {
+    if (!requirePermission('subscription.manage')) return;
+    if (selectedUsers.size === 0) return;
+    if (!confirm(`確定要取消 ${selectedUsers.size} 位用戶的訂閱嗎？`)) return;
+    
+    const requestBody = buildSubscriptionRequestBody(false);
+    await runBulkUserOperation('取消訂閱', [...selectedUsers.keys()], userId =>
+        adminFetch(`${API_BASE_URL}/admin/users/${userId}/subscription`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(requestBody)
+        })
+    );
+}
+
+// 匯出選取的用戶（前端產生 CSV）
+function exportSelectedUsers() {
+    if (selectedUsers.size === 0) return;
+    
+    const rows = [...selectedUsers.values()].map(user => ({
+        user_id: user.user_id,
+        email: user.email,
+        name: user.name || '',
+        plan: user.plan || user.license_info?.plan || 'free',
+        is_subscribed: user.is_subscribed !== false ? 'yes' : 'no',
+        created_at: user.created_at || '',
+        conversation_count: user.conversation_count || 0,
+        script_count: user.script_count || 0
+    }));
+    downloadCSV(`users-selected-${new Date().toISOString().slice(0, 10)}.csv`, rows);
+    showToast(`已匯出 ${rows.length} 位用戶`, 'success');
+}
+
+// 逐一執行批次操作，並即時更新每位用戶的結果
+// requestFn(userId) 需回傳 fetch Response
+async function runBulkUserOperation(label, userIds, requestFn) {
+    lastBulkOperation = {
+        label,
+        requestFn,
+        users: new Map(userIds.map(id => [id, selectedUsers.get(id) || currentUsersList.find(u => u.user_id === id) || {}])),
+        results: new Map(userIds.map(id => [id, { status: 'pending', message: '' }]))
+    };
+    showBulkOperationReport();
+    
+    await processBulkOperation(userIds);
+}
+
+async function processBulkOperation(userIds) {
+    const operation = lastBulkOperation;
+    
+    for (const userId of userIds) {
+        operation.results.set(userId, { status: 'running', message: '' });
+        renderBulkOperationReport();
         
-        document.getElementById('import-file-name').textContent = file.name;
-        document.getElementById('import-btn').disabled = false;
+        try {
+            const response = await operation.requestFn(userId);
+            if (response.ok) {
+                operation.results.set(userId, { status: 'success', message: '' });
+            } else {
+                const error = await response.json().catch(() => ({}));
+                operation.results.set(userId, { status: 'failed', message: error.error || error.detail || `HTTP ${response.status}` });
+            }
+        } catch (error) {
+            operation.results.set(userId, { status: 'failed', message: error.message || '請求失敗' });
+        }
+        renderBulkOperationReport();
     }
+    
+    const results = [...operation.results.values()];
+    const failedCount = results.filter(r => r.status === 'failed').length;
+    showToast(
+        failedCount ? `${operation.label}完成：${results.length - failedCount} 成功、${failedCount} 失敗` : `${operation.label}完成：${results.length} 位用戶全部成功`,
+        failedCount ? 'error' : 'success'
+    );
+    loadUsers(currentUsersPage);
 }
 
-// ===== 資料匯入功能 =====
-async function importData() {
-    const fileInput = document.getElementById('import-file');
-    const importType = document.getElementById('import-type').value;
-    const importMode = document.getElementById('import-mode').value;
+// 重試上一次批次操作中失敗的用戶
+async function retryFailedBulkOperation() {
+    if (!lastBulkOperation) return;
     
-    if (!fileInput.files || !fileInput.files[0]) {
-        showToast('請先選擇要匯入的檔案', 'error');
+    const failedIds = [...lastBulkOperation.results.entries()]
+        .filter(([, result]) => result.status === 'failed')
+        .map(([userId]) => userId);
+    if (failedIds.length === 0) return;
+    
+    failedIds.forEach(userId => lastBulkOperation.results.set(userId, { status: 'pending', message: '' }));
+    await processBulkOperation(failedIds);
+}
+
+function showBulkOperationReport() {
+    showUserDetailModal(`
+        <div style="padding: 20px;">
+            <h2 style="margin: 0 0 12px 0; color: #1f2937;">📋 批次操作：${escapeHtml(lastBulkOperation.label)}</h2>
+            <div id="bulk-operation-report"></div>
+        </div>
+    `);
+    renderBulkOperationReport();
+}
+
+function renderBulkOperationReport() {
+    const container = document.getElementById('bulk-operation-report');
+    if (!container || !lastBulkOperation) return;
+    
+    const entries = [...lastBulkOperation.results.entries()];
+    const doneCount = entries.filter(([, r]) => r.status === 'success' || r.status === 'failed').length;
+    const failedCount = entries.filter(([, r]) => r.status === 'failed').length;
+    const isRunning = entries.some(([, r]) => r.status === 'pending' || r.status === 'running');
+    const percent = entries.length ? Math.round(doneCount / entries.length * 100) : 0;
+    const statusMap = {
+        pending: { text: '⏳ 等待中', color: '#6b7280' },
+        running: { text: '🔄 處理中', color: '#3b82f6' },
+        success: { text: '✅ 成功', color: '#10b981' },
+        failed: { text: '❌ 失敗', color: '#ef4444' }
+    };
+    
+    container.innerHTML = `
+        <div style="margin-bottom: 12px;">
+            <div style="display: flex; justify-content: space-between; font-size: 14px; color: #374151; margin-bottom: 6px;">
+                <span>進度：${doneCount} / ${entries.length}</span>
+                <span>${failedCount ? `<span style="color: #ef4444;">失敗 ${failedCount}</span>` : ''}</span>
+            </div>
+            <div style="height: 8px; background: #e5e7eb; border-radius: 4px; overflow: hidden;">
+                <div style="height: 100%; width: ${percent}%; background: ${failedCount ? '#f59e0b' : '#10b981'}; transition: width 0.2s;"></div>
+            </div>
+        </div>
+        <div style="max-height: 40vh; overflow-y: auto; border: 1px solid #e5e7eb; border-radius: 8px;">
+            ${entries.map(([userId, result]) => {
+                const user = lastBulkOperation.users.get(userId) || {};
+                const status = statusMap[result.status];
+                return `
+                    <div style="display: flex; justify-content: space-between; gap: 12px; padding: 8px 12px; border-bottom: 1px solid #f3f4f6; font-size: 13px;">
+                        <span style="word-break: break-all;">${escapeHtml(user.email || userId)}</span>
+                        <span style="color: ${status.color}; white-space: nowrap;">${status.text}${result.message ? `：${escapeHtml(result.message)}` : ''}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+        ${!isRunning && failedCount ? `
+            <div style="margin-top: 12px; text-align: right;">
+                <button type="button" class="btn-action btn-edit" onclick="retryFailedBulkOperation()">🔁 重試失敗項目（${failedCount}）</button>
+            </div>
+        ` : ''}
+    `;
+}
+
+// ===== 操作稽核日誌 =====
+const AUDIT_ACTION_LABELS = {
+    'subscription.update': '變更訂閱/方案',
+    'subscription.cancel': '取消訂閱',
+    'usage.adjust': '調整用量',
+    'llm_key.set': '設定 LLM Key',
+    'llm_key.delete': '刪除 LLM Key',
+    'script.delete': '刪除腳本',
+    'order.delete': '刪除訂單',
+    'order.refund': '訂單退款',
+    'license_activation.delete': '刪除授權記錄',
+    'admin.password_reset': '重置管理員密碼',
+    'admin.role_change': '變更管理員角色',
+    'memory.delete': '刪除長期記憶',
+    'data.import_replace': '覆蓋模式匯入',
+    'approval.reject': '駁回審核申請',
+    'referral.reward_hold': '暫停推薦獎勵',
+    'referral.reward_release': '恢復推薦獎勵',
+    'referral.reward_revoke': '撤銷推薦獎勵',
+    'referral.reward_grant': '發放推薦獎勵',
+    'referral.link': '手動綁定推薦',
+    'license_batch.create': '產生授權序號',
+    'license_batch.revoke': '撤銷未使用序號',
+    'license_activation.revoke': '撤銷授權啟用',
+    'order.cleanup_policy': '變更訂單清理政策',
+    'order.cleanup_run': '立即清理訂單'
+};
+
+const AUDIT_ENTITY_LABELS = {
+    user: '用戶',
+    order: '訂單',
+    script: '腳本',
+    license_activation: '授權記錄',
+    admin: '管理員',
+    memory: '長期記憶',
+    import: '資料匯入',
+    approval: '審核申請',
+    referral: '推薦記錄',
+    referrer: '推薦人',
+    license_batch: '序號批次',
+    cleanup_policy: '清理政策'
+};
+
+// 最近載入的列表資料，用於記錄刪除前的內容（entityType → Map(id → 資料)）
+const auditSnapshots = {};
+let currentAuditLogs = [];
+
+function rememberAuditSnapshots(entityType, items, getId) {
+    auditSnapshots[entityType] = new Map(items.map(item => [String(getId(item)), item]));
+}
+
+function getAuditSnapshot(entityType, entityId) {
+    return auditSnapshots[entityType]?.get(String(entityId)) || null;
+}
+
+function getAuditLogFilters() {
+    return {
+        admin: document.getElementById('audit-filter-admin')?.value || '',
+        action: document.getElementById('audit-filter-action')?.value || '',
+        dateFrom: document.getElementById('audit-filter-date-from')?.value || '',
+        dateTo: document.getElementById('audit-filter-date-to')?.value || ''
+    };
+}
+
+async function loadAuditLogs() {
+    try {
+        const filters = getAuditLogFilters();
+        const params = new URLSearchParams({ limit: 500 });
+        if (filters.admin) params.set('admin', filters.admin);
+        if (filters.action) params.set('action', filters.action);
+        if (filters.dateFrom) params.set('date_from', filters.dateFrom);
+        if (filters.dateTo) params.set('date_to', filters.dateTo);
+        
+        const response = await adminFetch(`${API_BASE_URL}/admin/audit-logs?${params}`);
+        const data = await response.json();
+        currentAuditLogs = data.logs || [];
+        
+        // 管理員篩選選項：優先使用後端提供的清單，否則從日誌中整理
+        const admins = data.admins || [...new Set(currentAuditLogs.map(log => log.admin_email).filter(Boolean))];
+        const adminSelect = document.getElementById('audit-filter-admin');
+        if (adminSelect) {
+            adminSelect.innerHTML = '<option value="">所有管理員</option>' +
+                admins.map(email => `<option value="${escapeAttr(email)}">${escapeHtml(email)}</option>`).join('');
+            adminSelect.value = filters.admin;
+        }
+        
+        renderAuditLogs();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('載入稽核日誌失敗:', error);
+        showToast('載入稽核日誌失敗', 'error');
+        const tbody = document.getElementById('audit-logs-table-body');
+        if (tbody) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; padding: 2rem; color: #ef4444;">載入失敗</td></tr>';
+        }
+    }
+}
+
+// 以「欄位：值」列出變更內容，與另一側不同的欄位加粗顯示
+function formatAuditValues(values, compareWith) {
+    if (!values || typeof values !== 'object') {
+        return values === null || values === undefined ? '-' : escapeHtml(String(values));
+    }
+    const keys = Object.keys(values);
+    if (keys.length === 0) return '-';
+    
+    return keys.map(key => {
+        const value = values[key];
+        const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+        const changed = compareWith && typeof compareWith === 'object' && JSON.stringify(compareWith[key]) !== JSON.stringify(value);
+        return `<div style="${changed ? 'font-weight: 600; color: #1e40af;' : ''}"><span style="color: #64748b;">${escapeHtml(key)}：</span>${escapeHtml(text)}</div>`;
+    }).join('');
+}
+
+function renderAuditLogs() {
+    const isMobile = window.innerWidth <= 768;
+    const tableContainer = document.querySelector('#tab-audit-logs .table-container');
+    const logs = currentAuditLogs;
+    
+    const countEl = document.getElementById('audit-logs-count');
+    if (countEl) {
+        countEl.textContent = `共 ${logs.length} 筆`;
+    }
+    
+    if (isMobile && tableContainer) {
+        setHTML(tableContainer, '');
+        const cardsContainer = document.createElement('div');
+        cardsContainer.className = 'mobile-cards-container';
+        cardsContainer.innerHTML = logs.length === 0
+            ? '<div style="text-align: center; padding: 2rem;">暫無稽核日誌</div>'
+            : logs.map(log => `
+                <div class="mobile-card">
+                    <div class="mobile-card-header">
+                        <span class="mobile-card-title">${escapeHtml(AUDIT_ACTION_LABELS[log.action] || log.action)}</span>
+                        <span class="mobile-card-badge">${escapeHtml(AUDIT_ENTITY_LABELS[log.entity_type] || log.entity_type || '-')}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">時間</span>
+                        <span class="mobile-card-value">${formatDateTime(log.created_at)}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">管理員</span>
+                        <span class="mobile-card-value">${escapeHtml(log.admin_email || '-')}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">對象</span>
+                        <span class="mobile-card-value" style="word-break: break-all;">${escapeHtml(log.entity_id || '-')}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">變更前</span>
+                        <span class="mobile-card-value">${formatAuditValues(log.before, log.after)}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">變更後</span>
+                        <span class="mobile-card-value">${formatAuditValues(log.after, log.before)}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">備註</span>
+                        <span class="mobile-card-value">${escapeHtml(log.admin_note || '-')}</span>
+                    </div>
+                </div>
+            `).join('');
+        tableContainer.appendChild(cardsContainer);
         return;
     }
     
-    const file = fileInput.files[0];
+    const tbody = document.getElementById('audit-logs-table-body');
+    if (!tbody) {
+        console.error('找不到稽核日誌表格 tbody 元素');
+        return;
+    }
     
-    if (!confirm(`確定要匯入 ${file.name} 嗎？匯入模式：${importMode === 'add' ? '新增模式' : '覆蓋模式'}`)) {
+    setHTML(tbody, logs.length === 0
+        ? '<tr><td colspan="7" style="text-align: center; padding: 2rem;">暫無稽核日誌</td></tr>'
+        : logs.map(log => `
+            <tr>
+                <td style="white-space: nowrap;">${formatDateTime(log.created_at)}</td>
+                <td>${escapeHtml(log.admin_email || '-')}</td>
+                <td><span class="badge">${escapeHtml(AUDIT_ACTION_LABELS[log.action] || log.action)}</span></td>
+                <td>
+                    <div style="font-size: 0.75rem; color: #64748b;">${escapeHtml(AUDIT_ENTITY_LABELS[log.entity_type] || log.entity_type || '-')}</div>
+                    <code style="font-size: 0.75rem; word-break: break-all;">${escapeHtml(log.entity_id || '-')}</code>
+                </td>
+                <td style="font-size: 0.8rem;">${formatAuditValues(log.before, log.after)}</td>
+                <td style="font-size: 0.8rem;">${formatAuditValues(log.after, log.before)}</td>
+                <td style="font-size: 0.85rem;">${escapeHtml(log.admin_note || '-')}</td>
+            </tr>
+        `).join(''));
+}
+
+// 匯出目前篩選結果
+function exportAuditLogs() {
+    if (currentAuditLogs.length === 0) {
+        showToast('沒有可匯出的稽核日誌', 'error');
         return;
     }
     
+    const rows = currentAuditLogs.map(log => ({
+        created_at: log.created_at || '',
+        admin_email: log.admin_email || '',
+        action: log.action || '',
+        action_label: AUDIT_ACTION_LABELS[log.action] || '',
+        entity_type: log.entity_type || '',
+        entity_id: log.entity_id || '',
+        before: log.before ? JSON.stringify(log.before) : '',
+        after: log.after ? JSON.stringify(log.after) : '',
+        admin_note: log.admin_note || ''
+    }));
+    downloadCSV(`audit-logs-${new Date().toISOString().slice(0, 10)}.csv`, rows);
+    showToast(`已匯出 ${rows.length} 筆稽核日誌`, 'success');
+}
+
+function resetAuditLogFilters() {
+    ['audit-filter-admin', 'audit-filter-action', 'audit-filter-date-from', 'audit-filter-date-to'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = '';
+    });
+    loadAuditLogs();
+}
+
+// ===== 破壞性操作雙人審核 =====
+// 刪除與覆蓋類操作先送出審核申請，由另一位管理員核准後才由後端執行；
+// 前端會阻擋核准自己的申請，後端同樣會再檢查
+const APPROVAL_ACTIONS = {
+    'order.delete': { label: '刪除訂單', entityType: 'order', permission: 'orders.delete' },
+    'order.cleanup_run': { label: '立即清理訂單', entityType: 'cleanup_policy', permission: 'orders.delete' },
+    // 排程會每天自動刪除訂單，開啟或放寬排程與立即執行同樣需要核准
+    'order.cleanup_policy': { label: '變更訂單清理排程', entityType: 'cleanup_policy', permission: 'orders.delete' },
+    'license_activation.delete': { label: '刪除授權記錄', entityType: 'license_activation', permission: 'licenses.delete' },
+    'script.delete': { label: '刪除腳本', entityType: 'script', permission: 'content.delete' },
+    'memory.delete': { label: '刪除長期記憶', entityType: 'memory', permission: 'content.delete' },
+    // 覆蓋匯入影響整張資料表，僅超級管理員可核准
+    'data.import_replace': { label: '覆蓋模式匯入', entityType: 'import', permission: 'admins.manage' }
+};
+
+const APPROVAL_STATUS_LABELS = {
+    pending: { text: '待審核', color: '#f59e0b' },
+    approved: { text: '已核准', color: '#10b981' },
+    rejected: { text: '已駁回', color: '#ef4444' },
+    cancelled: { text: '已撤回', color: '#94a3b8' },
+    failed: { text: '執行失敗', color: '#ef4444' }
+};
+
+// 覆蓋匯入的檔案內容會隨申請一起送出，限制大小避免申請本身過大
+const APPROVAL_IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const APPROVAL_POLL_INTERVAL = 60000;
+// 自己送出的申請最後一次看到的狀態（申請 ID → 狀態），用來提示狀態變更
+const MY_APPROVALS_STORAGE_KEY = 'admin_my_approval_statuses';
+
+let currentApprovals = [];
+
+function getCurrentAdminEmail() {
+    const token = getAdminToken();
+    if (!token) return '';
     try {
-        // 顯示進度條
-        const progressDiv = document.getElementById('import-progress');
-        const progressBar = document.getElementById('import-progress-bar');
-        const statusText = document.getElementById('import-status');
-        progressDiv.style.display = 'block';
-        progressBar.style.width = '10%';
-        statusText.textContent = '正在讀取檔案...';
-        
-        // 讀取檔案內容
-        const fileContent = await file.text();
-        progressBar.style.width = '30%';
-        statusText.textContent = '正在上傳資料...';
-        
-        // 創建 FormData
-        const formData = new FormData();
-        formData.append('file', file);
-        formData.append('mode', importMode);
-        
-        // 發送請求
-        const token = getAdminToken();
-        const response = await fetch(`${API_BASE_URL}/admin/import/${importType}`, {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.email || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+function isOwnApprovalRequest(request) {
+    const email = getCurrentAdminEmail();
+    return !!email && request.requested_by === email;
+}
+
+// token 沒有 email 時無法判斷是否為本人申請，一律不可審核
+function canReviewApprovalRequest(request) {
+    return !!getCurrentAdminEmail() && !isOwnApprovalRequest(request);
+}
+
+function getTrackedApprovalStatuses() {
+    try {
+        return JSON.parse(localStorage.getItem(MY_APPROVALS_STORAGE_KEY) || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveTrackedApprovalStatuses(statuses) {
+    localStorage.setItem(MY_APPROVALS_STORAGE_KEY, JSON.stringify(statuses));
+}
+
+// 送出審核申請，回傳是否送出成功
+async function submitApprovalRequest(action, entityId, { summary, before = null, payload = null }) {
+    const config = APPROVAL_ACTIONS[action];
+    const reason = prompt(`${summary}\n\n此操作需要另一位管理員核准後才會執行。\n請輸入申請原因：`);
+    if (reason === null) return false;
+    if (!reason.trim()) {
+        showToast('請輸入申請原因', 'error');
+        return false;
+    }
+    
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/approvals`, {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`
-            },
-            body: formData
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                action,
+                entity_type: config.entityType,
+                entity_id: String(entityId),
+                summary,
+                before,
+                payload,
+                reason: reason.trim()
+            })
         });
+        const result = await response.json().catch(() => ({}));
         
-        progressBar.style.width = '80%';
-        statusText.textContent = '正在處理資料...';
+        if (!response.ok) {
+            showToast(result.error || '送出審核申請失敗', 'error');
+            return false;
+        }
         
-        const result = await response.json();
+        if (result.id) {
+            const statuses = getTrackedApprovalStatuses();
+            statuses[result.id] = 'pending';
+            saveTrackedApprovalStatuses(statuses);
+        }
+        showToast(`已送出「${config.label}」審核申請，待其他管理員核准後執行`, 'success');
+        refreshApprovalUpdates();
+        return true;
+    } catch (error) {
+        if (isHandledRequestError(error)) return false;
+        console.error('送出審核申請失敗:', error);
+        showToast('送出審核申請失敗: ' + error.message, 'error');
+        return false;
+    }
+}
+
+function getApprovalFilters() {
+    return {
+        status: document.getElementById('approval-filter-status')?.value ?? 'pending',
+        scope: document.getElementById('approval-filter-scope')?.value || ''
+    };
+}
+
+async function loadApprovals() {
+    try {
+        const filters = getApprovalFilters();
+        const params = new URLSearchParams({ limit: 200 });
+        if (filters.status) params.set('status', filters.status);
+        if (filters.scope === 'mine') params.set('mine', '1');
         
-        if (response.ok) {
-            progressBar.style.width = '100%';
-            statusText.textContent = `匯入成功！成功：${result.success_count || 0}，失敗：${result.error_count || 0}`;
-            showToast(`匯入完成：成功 ${result.success_count || 0} 筆，失敗 ${result.error_count || 0} 筆`, 'success');
-            
-            // 重置表單
-            setTimeout(() => {
-                fileInput.value = '';
+        const response = await adminFetch(`${API_BASE_URL}/admin/approvals?${params}`);
+        const data = await response.json();
+        currentApprovals = data.approvals || [];
+        renderApprovals();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('載入審核申請失敗:', error);
+        showToast('載入審核申請失敗', 'error');
+        const tbody = document.getElementById('approvals-table-body');
+        if (tbody) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; padding: 2rem; color: #ef4444;">載入失敗</td></tr>';
+        }
+    }
+}
+
+function renderApprovalStatus(request) {
+    const status = APPROVAL_STATUS_LABELS[request.status] || { text: request.status || '-', color: '#64748b' };
+    const reviewer = request.reviewed_by
+        ? `<div style="font-size: 0.75rem; color: #64748b; margin-top: 4px;">${escapeHtml(request.reviewed_by)}${request.reviewed_at ? `・${formatDateTime(request.reviewed_at)}` : ''}</div>`
+        : '';
+    const note = request.review_note || request.error
+        ? `<div style="font-size: 0.75rem; color: #64748b; margin-top: 2px;">${escapeHtml(request.review_note || request.error)}</div>`
+        : '';
+    return `<span class="badge" style="background: ${status.color}; color: white;">${status.text}</span>${reviewer}${note}`;
+}
+
+function renderApprovalActions(request) {
+    if (request.status !== 'pending') return '-';
+    if (isOwnApprovalRequest(request)) {
+        return `<button class="btn-action btn-edit" data-request-id="${escapeAttr(request.id)}" onclick="cancelApprovalRequest(this.dataset.requestId)">撤回</button>`;
+    }
+    const config = APPROVAL_ACTIONS[request.action];
+    if (!config || !hasPermission(config.permission)) {
+        return '<span style="color: #94a3b8; font-size: 0.8rem;">無核准權限</span>';
+    }
+    if (!canReviewApprovalRequest(request)) {
+        return '<span style="color: #94a3b8; font-size: 0.8rem;">無法確認身分，請重新登入</span>';
+    }
+    return `
+        <div style="display: flex; gap: 0.25rem; flex-wrap: wrap;">
+            <button class="btn-action btn-success" data-request-id="${escapeAttr(request.id)}" onclick="approveApprovalRequest(this.dataset.requestId)">核准</button>
+            <button class="btn-action btn-danger" data-request-id="${escapeAttr(request.id)}" onclick="rejectApprovalRequest(this.dataset.requestId)">駁回</button>
+        </div>
+    `;
+}
+
+function renderApprovals() {
+    const isMobile = window.innerWidth <= 768;
+    const tableContainer = document.querySelector('#tab-approvals .table-container');
+    const approvals = currentApprovals;
+    
+    const countEl = document.getElementById('approvals-count');
+    if (countEl) {
+        countEl.textContent = `共 ${approvals.length} 筆`;
+    }
+    
+    if (isMobile && tableContainer) {
+        setHTML(tableContainer, '');
+        const cardsContainer = document.createElement('div');
+        cardsContainer.className = 'mobile-cards-container';
+        cardsContainer.innerHTML = approvals.length === 0
+            ? '<div style="text-align: center; padding: 2rem;">暫無審核申請</div>'
+            : approvals.map(request => `
+                <div class="mobile-card">
+                    <div class="mobile-card-header">
+                        <span class="mobile-card-title">${escapeHtml(APPROVAL_ACTIONS[request.action]?.label || request.action)}</span>
+                        <span class="mobile-card-badge">${escapeHtml(APPROVAL_STATUS_LABELS[request.status]?.text || request.status || '-')}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">申請時間</span>
+                        <span class="mobile-card-value">${formatDateTime(request.created_at)}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">申請人</span>
+                        <span class="mobile-card-value">${escapeHtml(request.requested_by || '-')}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">內容</span>
+                        <span class="mobile-card-value" style="word-break: break-all;">${escapeHtml(request.summary || request.entity_id || '-')}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">原因</span>
+                        <span class="mobile-card-value">${escapeHtml(request.reason || '-')}</span>
+                    </div>
+                    <div class="mobile-card-row">
+                        <span class="mobile-card-label">狀態</span>
+                        <span class="mobile-card-value">${renderApprovalStatus(request)}</span>
+                    </div>
+                    <div class="mobile-card-actions">
+                        ${renderApprovalActions(request)}
+                    </div>
+                </div>
+            `).join('');
+        tableContainer.appendChild(cardsContainer);
+        return;
+    }
+    
+    const tbody = document.getElementById('approvals-table-body');
+    if (!tbody) {
+        console.error('找不到審核申請表格 tbody 元素');
+        return;
+    }
+    
+    setHTML(tbody, approvals.length === 0
+        ? '<tr><td colspan="7" style="text-align: center; padding: 2rem;">暫無審核申請</td></tr>'
+        : approvals.map(request => `
+            <tr>
+                <td style="white-space: nowrap;">${formatDateTime(request.created_at)}</td>
+                <td>${escapeHtml(request.requested_by || '-')}</td>
+                <td><span class="badge">${escapeHtml(APPROVAL_ACTIONS[request.action]?.label || request.action)}</span></td>
+                <td style="font-size: 0.85rem; word-break: break-all;">
+                    ${escapeHtml(request.summary || request.entity_id || '-')}
+                    ${request.before ? `<div style="font-size: 0.75rem; margin-top: 4px;">${formatAuditValues(request.before)}</div>` : ''}
+                </td>
+                <td style="font-size: 0.85rem;">${escapeHtml(request.reason || '-')}</td>
+                <td>${renderApprovalStatus(request)}</td>
+                <td>${renderApprovalActions(request)}</td>
+            </tr>
+        `).join(''));
+}
+
+function getApprovalRequest(requestId) {
+    return currentApprovals.find(request => String(request.id) === String(requestId)) || null;
+}
+
+async function approveApprovalRequest(requestId) {
+    const request = getApprovalRequest(requestId);
+    if (!request) return;
+    const config = APPROVAL_ACTIONS[request.action];
+    if (!config) {
+        showToast('不支援的審核操作', 'error');
+        return;
+    }
+    if (!requirePermission(config.permission)) return;
+    if (isOwnApprovalRequest(request)) {
+        showToast('不能核准自己送出的申請', 'error');
+        return;
+    }
+    if (!canReviewApprovalRequest(request)) {
+        showToast('無法確認目前管理員身分，請重新登入後再審核', 'error');
+        return;
+    }
+    if (!confirm(`確定核准並執行「${config.label}」嗎？此操作無法復原。\n\n${request.summary || request.entity_id}\n申請人：${request.requested_by || '-'}\n原因：${request.reason || '-'}`)) {
+        return;
+    }
+    
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/approvals/${encodeURIComponent(request.id)}/approve`, {
+            method: 'POST'
+        });
+        const result = await response.json().catch(() => ({}));
+        
+        if (response.ok) {
+            showToast(`已核准並執行「${config.label}」`, 'success');
+        } else {
+            showToast(result.error || '核准失敗', 'error');
+        }
+        loadApprovals();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('核准審核申請失敗:', error);
+        showToast('核准審核申請失敗: ' + error.message, 'error');
+    }
+}
+
+async function rejectApprovalRequest(requestId) {
+    const request = getApprovalRequest(requestId);
+    if (!request) return;
+    const config = APPROVAL_ACTIONS[request.action];
+    if (config && !requirePermission(config.permission)) return;
+    if (!canReviewApprovalRequest(request)) {
+        showToast('無法確認目前管理員身分，請重新登入後再審核', 'error');
+        return;
+    }
+    
+    const note = prompt('請輸入駁回原因：');
+    if (note === null) return;
+    if (!note.trim()) {
+        showToast('請輸入駁回原因', 'error');
+        return;
+    }
+    
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/approvals/${encodeURIComponent(request.id)}/reject`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ review_note: note.trim() })
+        });
+        
+        if (response.ok) {
+            showToast('已駁回申請', 'success');
+            loadApprovals();
+        } else {
+            const error = await response.json().catch(() => ({}));
+            showToast(error.error || '駁回失敗', 'error');
+        }
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('駁回審核申請失敗:', error);
+        showToast('駁回審核申請失敗', 'error');
+    }
+}
+
+async function cancelApprovalRequest(requestId) {
+    const request = getApprovalRequest(requestId);
+    if (!request) return;
+    if (!confirm(`確定要撤回「${request.summary || request.entity_id}」的審核申請嗎？`)) return;
+    
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/approvals/${encodeURIComponent(request.id)}/cancel`, {
+            method: 'POST'
+        });
+        
+        if (response.ok) {
+            const statuses = getTrackedApprovalStatuses();
+            delete statuses[request.id];
+            saveTrackedApprovalStatuses(statuses);
+            showToast('已撤回申請', 'success');
+            loadApprovals();
+        } else {
+            const error = await response.json().catch(() => ({}));
+            showToast(error.error || '撤回失敗', 'error');
+        }
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('撤回審核申請失敗:', error);
+        showToast('撤回審核申請失敗', 'error');
+    }
+}
+
+// 更新「審核申請」標籤上的待處理數量，並提示自己送出的申請狀態變更
+async function refreshApprovalUpdates() {
+    if (!getAdminToken()) return;
+    
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/approvals?limit=200`);
+        if (!response.ok) return;
+        const data = await response.json();
+        const approvals = data.approvals || [];
+        
+        const awaitingMe = approvals.filter(request =>
+            request.status === 'pending' &&
+            canReviewApprovalRequest(request) &&
+            APPROVAL_ACTIONS[request.action] &&
+            hasPermission(APPROVAL_ACTIONS[request.action].permission)
+        ).length;
+        const badge = document.getElementById('approvals-pending-count');
+        if (badge) {
+            badge.textContent = awaitingMe > 0 ? awaitingMe : '';
+            badge.style.display = awaitingMe > 0 ? 'inline-block' : 'none';
+        }
+        
+        const statuses = getTrackedApprovalStatuses();
+        approvals.filter(isOwnApprovalRequest).forEach(request => {
+            const previous = statuses[request.id];
+            if (previous === 'pending' && request.status !== 'pending') {
+                const label = APPROVAL_ACTIONS[request.action]?.label || request.action;
+                const status = APPROVAL_STATUS_LABELS[request.status]?.text || request.status;
+                const by = request.reviewed_by ? `（${request.reviewed_by}）` : '';
+                const note = request.review_note ? `：${request.review_note}` : '';
+                showToast(`你的「${label}」申請${status}${by}${note}`, request.status === 'approved' ? 'success' : 'error');
+            }
+            if (request.status === 'pending') {
+                statuses[request.id] = 'pending';
+            } else {
+                delete statuses[request.id];
+            }
+        });
+        saveTrackedApprovalStatuses(statuses);
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.warn('檢查審核申請狀態失敗:', error);
+    }
+}
+
+function startApprovalMonitor() {
+    refreshApprovalUpdates();
+    setInterval(refreshApprovalUpdates, APPROVAL_POLL_INTERVAL);
+}
+
+// 確保函數在全局作用域中可用
+window.promoteToAdmin = promoteToAdmin;
+window.upgradeToLifetime = upgradeToLifetime;
+window.showUpgradePlanModal = showUpgradePlanModal;
+window.showAdjustUsageModal = showAdjustUsageModal;
+window.confirmAdjustUsage = confirmAdjustUsage;
+window.filterUsers = filterUsers;
+window.sortUsersBy = sortUsersBy;
+window.resetUsersQuery = resetUsersQuery;
+window.toggleUserSelection = toggleUserSelection;
+window.toggleSelectAllUsers = toggleSelectAllUsers;
+window.clearUserSelection = clearUserSelection;
+window.showBulkUpgradePlanModal = showBulkUpgradePlanModal;
+window.showBulkAdjustUsageModal = showBulkAdjustUsageModal;
+window.bulkCancelSubscription = bulkCancelSubscription;
+window.exportSelectedUsers = exportSelectedUsers;
+window.retryFailedBulkOperation = retryFailedBulkOperation;
+window.loadAuditLogs = loadAuditLogs;
+window.exportAuditLogs = exportAuditLogs;
+window.resetAuditLogFilters = resetAuditLogFilters;
+window.loadApprovals = loadApprovals;
+window.approveApprovalRequest = approveApprovalRequest;
+window.rejectApprovalRequest = rejectApprovalRequest;
+window.cancelApprovalRequest = cancelApprovalRequest;
+window.updateAdminRole = updateAdminRole;
+window.toggleUserTimelineType = toggleUserTimelineType;
+window.loadOrders = loadOrders;
+window.filterOrders = filterOrders;
+window.resetOrderFilters = resetOrderFilters;
+window.exportFilteredOrders = exportFilteredOrders;
+window.showRefundModal = showRefundModal;
+window.updateRefundForm = updateRefundForm;
+window.confirmRefund = confirmRefund;
+window.loadRevenueAnalytics = loadRevenueAnalytics;
+window.exportRevenueAnalytics = exportRevenueAnalytics;
+window.loadCohortRetention = loadCohortRetention;
+window.loadConversionFunnel = loadConversionFunnel;
+window.renderConversionFunnelBreakdown = renderConversionFunnelBreakdown;
+window.showFunnelDropoffs = showFunnelDropoffs;
+window.exportFunnelDropoffs = exportFunnelDropoffs;
+window.loadSubscriptionRenewals = loadSubscriptionRenewals;
+window.renderSubscriptionRenewals = renderSubscriptionRenewals;
+window.extendExpiringSubscription = extendExpiringSubscription;
+window.exportSubscriptionRenewals = exportSubscriptionRenewals;
+window.loadQuotaMonitor = loadQuotaMonitor;
+window.renderQuotaMonitor = renderQuotaMonitor;
+window.renderReferralRisks = renderReferralRisks;
+window.toggleReferralRewardHold = toggleReferralRewardHold;
+window.revokeReferrerRewards = revokeReferrerRewards;
+window.grantReferralReward = grantReferralReward;
+window.revokeReferralReward = revokeReferralReward;
+window.showReferralLinkModal = showReferralLinkModal;
+window.confirmReferralLink = confirmReferralLink;
+window.loadLicenseBatches = loadLicenseBatches;
+window.showLicenseBatchModal = showLicenseBatchModal;
+window.confirmLicenseBatch = confirmLicenseBatch;
+window.downloadLicenseBatchKeys = downloadLicenseBatchKeys;
+window.revokeUnusedLicenseKeys = revokeUnusedLicenseKeys;
+window.loadLicenseAnomalies = loadLicenseAnomalies;
+window.renderLicenseAnomalies = renderLicenseAnomalies;
+window.revokeLicenseAnomaly = revokeLicenseAnomaly;
+window.saveOrderCleanupPolicy = saveOrderCleanupPolicy;
+window.previewOrderCleanup = previewOrderCleanup;
+window.runOrderCleanup = runOrderCleanup;
+window.openCommandPalette = openCommandPalette;
+window.closeCommandPalette = closeCommandPalette;
+window.onCommandPaletteInput = onCommandPaletteInput;
+window.handleCommandPaletteKey = handleCommandPaletteKey;
+window.runCommandPaletteResult = runCommandPaletteResult;
+window.setCommandPaletteIndex = setCommandPaletteIndex;
+window.searchConversationTranscript = searchConversationTranscript;
+window.handleTranscriptSearchKey = handleTranscriptSearchKey;
+window.gotoTranscriptHit = gotoTranscriptHit;
+window.jumpToFirstUserMessage = jumpToFirstUserMessage;
+window.copyConversationTranscript = copyConversationTranscript;
+window.exportConversationTranscript = exportConversationTranscript;
+window.openUserTimelineEvent = openUserTimelineEvent;
+window.showSetLLMKeyModal = showSetLLMKeyModal;
+window.confirmSetLLMKey = confirmSetLLMKey;
+window.deleteUserLLMKey = deleteUserLLMKey;
+window.deactivateAdmin = deactivateAdmin;
+window.activateAdmin = activateAdmin;
+window.resetAdminPassword = resetAdminPassword;
+window.switchApiEnvironment = switchApiEnvironment;
+window.extendAdminSession = extendAdminSession;
+window.dismissSessionExpiringBanner = dismissSessionExpiringBanner;
+window.replayPendingMutation = replayPendingMutation;
+window.replayAllPendingMutations = replayAllPendingMutations;
+window.discardPendingMutation = discardPendingMutation;
+window.discardAllPendingMutations = discardAllPendingMutations;
+window.onApiEnvironmentSelectChange = onApiEnvironmentSelectChange;
+
+// ===== 檔案選擇處理 =====
+function handleFileSelect(event) {
+    const file = event.target.files[0];
+    if (file) {
+        if (!file.name.endsWith('.csv')) {
+            showToast('請選擇 CSV 檔案', 'error');
+            event.target.value = '';
+            return;
+        }
+        
+        document.getElementById('import-file-name').textContent = file.name;
+        document.getElementById('import-btn').disabled = false;
+    }
+}
+
+// ===== 資料匯入功能 =====
+async function importData() {
+    const fileInput = document.getElementById('import-file');
+    const importType = document.getElementById('import-type').value;
+    const importMode = document.getElementById('import-mode').value;
+    
+    if (!fileInput.files || !fileInput.files[0]) {
+        showToast('請先選擇要匯入的檔案', 'error');
+        return;
+    }
+    
+    const file = fileInput.files[0];
+    
+    // 覆蓋模式會更新現有資料，需經另一位管理員核准後由後端執行
+    if (importMode === 'replace') {
+        if (file.size > APPROVAL_IMPORT_MAX_BYTES) {
+            showToast(`覆蓋模式匯入檔案不可超過 ${APPROVAL_IMPORT_MAX_BYTES / 1024 / 1024}MB`, 'error');
+            return;
+        }
+        const submitted = await submitApprovalRequest('data.import_replace', importType, {
+            summary: `覆蓋模式匯入 ${importType}（${file.name}，${(file.size / 1024).toFixed(1)} KB）`,
+            payload: {
+                import_type: importType,
+                mode: importMode,
+                file_name: file.name,
+                content: await file.text()
+            }
+        });
+        if (submitted) {
+            fileInput.value = '';
+            document.getElementById('import-file-name').textContent = '';
+            document.getElementById('import-btn').disabled = true;
+        }
+        return;
+    }
+    
+    if (!confirm(`確定要匯入 ${file.name} 嗎？匯入模式：新增模式`)) {
+        return;
+    }
+    
+    try {
+        // 顯示進度條
+        const progressDiv = document.getElementById('import-progress');
+        const progressBar = document.getElementById('import-progress-bar');
+        const statusText = document.getElementById('import-status');
+        progressDiv.style.display = 'block';
+        progressBar.style.width = '10%';
+        statusText.textContent = '正在讀取檔案...';
+        
+        // 讀取檔案內容
+        const fileContent = await file.text();
+        progressBar.style.width = '30%';
+        statusText.textContent = '正在上傳資料...';
+        
+        // 創建 FormData
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('mode', importMode);
+        
+        // 發送請求
+        const token = getAdminToken();
+        const response = await fetch(`${API_BASE_URL}/admin/import/${importType}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            },
+            body: formData
+        });
+        
+        progressBar.style.width = '80%';
+        statusText.textContent = '正在處理資料...';
+        
+        const result = await response.json();
+        
+        if (response.ok) {
+            progressBar.style.width = '100%';
+            statusText.textContent = `匯入成功！成功：${result.success_count || 0}，失敗：${result.error_count || 0}`;
+            showToast(`匯入完成：成功 ${result.success_count || 0} 筆，失敗 ${result.error_count || 0} 筆`, 'success');
+            
+            // 重置表單
+            setTimeout(() => {
+                fileInput.value = '';
                 document.getElementById('import-file-name').textContent = '';
                 document.getElementById('import-btn').disabled = true;
                 progressDiv.style.display = 'none';
@@ -5284,6 +8394,9 @@ async function loadReferrals() {
         }
         
         const data = await response.json();
+        referralRecords = data.records || [];
+        referralRisks = buildReferralRisks(referralRecords);
+        renderReferralRisks();
         
         // 更新統計卡片
         document.getElementById('referral-total-referrers').textContent = data.stats.total_referrers || 0;
@@ -5291,6 +8404,7 @@ async function loadReferrals() {
         document.getElementById('referral-total-records').textContent = data.stats.total_records || 0;
         document.getElementById('referral-total-rewards').textContent = data.stats.total_rewards_granted || 0;
         document.getElementById('referral-total-days').textContent = data.stats.total_reward_days || 0;
+        document.getElementById('referral-pending-rewards').textContent = data.stats.total_rewards_pending ?? referralRecords.filter(record => record.has_paid_order && !record.reward_granted).length;
         
         // 檢測是否為手機版
         const isMobile = window.innerWidth <= 768;
@@ -5367,6 +8481,7 @@ async function loadReferrals() {
                             <span class="mobile-card-value">${record.reward_details}</span>
                         </div>
                         ` : ''}
+                        <div class="mobile-card-actions">${buildReferralActions(record)}</div>
                     </div>
                     `;
                 }).join('');
@@ -5427,69 +8542,528 @@ async function loadReferrals() {
                     <td>${lastPaidDate}</td>
                     <td>${rewardStatus}</td>
                     <td>${rewardDetails}</td>
+                    <td>${buildReferralActions(record)}</td>
                 </tr>
             `;
             }).join('');
         } else {
-            tbody.innerHTML = '<tr><td colspan="12" style="text-align: center; padding: 40px; color: #6b7280;">暫無推薦記錄</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="13" style="text-align: center; padding: 40px; color: #6b7280;">暫無推薦記錄</td></tr>';
         }
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入推薦碼數據失敗:', error);
         showToast('載入推薦碼數據失敗', 'error');
         
         // 顯示錯誤狀態
         const tbody = document.getElementById('referrals-table-body');
         if (tbody) {
-            tbody.innerHTML = '<tr><td colspan="12" style="text-align: center; padding: 40px; color: #ef4444;">載入失敗，請重新整理</td></tr>';
-        }
+            tbody.innerHTML = '<tr><td colspan="13" style="text-align: center; padding: 40px; color: #ef4444;">載入失敗，請重新整理</td></tr>';
+        }
+    }
+}
+
+// ===== 推薦風險檢測 =====
+// 公開信箱網域：同網域不代表同一組織，不列入共用網域訊號
+const PUBLIC_EMAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.com.tw', 'hotmail.com', 'outlook.com',
+    'live.com', 'msn.com', 'icloud.com', 'me.com', 'pchome.com.tw', 'proton.me', 'protonmail.com'
+];
+const REFERRAL_BURST_WINDOW_MS = 24 * 60 * 60 * 1000;
+const REFERRAL_BURST_MIN = 5;
+const REFERRAL_PATTERN_MIN = 3;
+const REFERRAL_NO_CONVERT_MIN = 5;
+const REFERRAL_NO_CONVERT_DAYS = 30;
+
+// weight：每筆符合的分數，max：此訊號最多計入的分數
+const REFERRAL_RISK_SIGNALS = {
+    self_referral: { label: '自我推薦', weight: 40, max: 80 },
+    shared_domain: { label: '共用私人網域', weight: 10, max: 20 },
+    email_pattern: { label: '序號式 Email', weight: 20, max: 20 },
+    signup_burst: { label: '短時間大量註冊', weight: 25, max: 25 },
+    never_convert: { label: '被推薦人皆未付款', weight: 15, max: 15 },
+    reward_before_payment: { label: '付款前已發放獎勵', weight: 30, max: 60 }
+};
+
+const REFERRAL_RISK_LEVELS = {
+    high: { label: '高風險', min: 60, badge: 'badge-danger' },
+    medium: { label: '中風險', min: 30, badge: 'badge-warning' },
+    low: { label: '低風險', min: 1, badge: 'badge-success' }
+};
+
+let referralRecords = [];
+let referralRisks = [];
+
+function parseEmail(email) {
+    const [local = '', domain = ''] = String(email || '').toLowerCase().split('@');
+    return { local, domain };
+}
+
+// 去除 +標籤、Gmail 的點與結尾數字，用來比對同一人註冊的多個信箱
+function getEmailBase(email) {
+    const { local, domain } = parseEmail(email);
+    let base = local.split('+')[0];
+    if (domain === 'gmail.com' || domain === 'googlemail.com') {
+        base = base.replace(/\./g, '');
     }
+    return base.replace(/\d+$/, '');
 }
 
-async function loadOrders() {
-    try {
-        const response = await adminFetch(`${API_BASE_URL}/admin/orders`);
-        const data = await response.json();
-        const allOrders = data.orders || [];
-        
-        console.log('訂單數據:', allOrders);
-        
-        // 檢測是否為手機版
-        const isMobile = window.innerWidth <= 768;
-        // 更新選擇器以適配新的標籤頁結構
-        let tableContainer = document.querySelector('#tab-orders-list .table-container') || 
-                             document.querySelector('#orders .table-container');
-        
-        if (!tableContainer) {
-            // 等待元素出現（標籤頁可能需要時間顯示）
-            tableContainer = await waitFor('#tab-orders-list .table-container, #orders .table-container', 3000).catch(() => null);
-        }
-        
-        if (!tableContainer) {
-            console.error('找不到訂單表格容器');
-            // 嘗試直接查找標籤頁內容並創建容器
-            const tabPanel = document.getElementById('tab-orders-list');
-            if (tabPanel) {
-                let container = tabPanel.querySelector('.table-container');
-                if (!container) {
-                    container = document.createElement('div');
-                    container.className = 'table-container';
-                    tabPanel.appendChild(container);
-                }
-                tableContainer = container;
-            } else {
-                return;
+// googlemail.com 與 gmail.com 為同一信箱
+function getEmailDomainKey(email) {
+    const { domain } = parseEmail(email);
+    return domain === 'googlemail.com' ? 'gmail.com' : domain;
+}
+
+function getReferrerKey(record) {
+    return String(record.referrer_id || record.referrer_email || record.referral_code || '');
+}
+
+function getReferralRiskLevel(score) {
+    return Object.keys(REFERRAL_RISK_LEVELS).find(level => score >= REFERRAL_RISK_LEVELS[level].min) || null;
+}
+
+function buildReferralRisks(records) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = getReferrerKey(record);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    });
+
+    return [...groups.entries()].map(([key, items]) => {
+        const first = items[0];
+        const referrerDomain = parseEmail(first.referrer_email).domain;
+        const referrerBase = getEmailBase(first.referrer_email);
+        const referrerDomainKey = getEmailDomainKey(first.referrer_email);
+        const signals = {};
+        const add = (type, detail) => {
+            (signals[type] = signals[type] || []).push(detail);
+        };
+
+        const baseCounts = new Map();
+        items.forEach(record => {
+            const referred = parseEmail(record.referred_email);
+            const referredBase = getEmailBase(record.referred_email);
+            // 不同網域的相同帳號名稱（如 info@a.com 與 info2@b.com）不視為自我推薦
+            if (referrerBase && referredBase === referrerBase && getEmailDomainKey(record.referred_email) === referrerDomainKey) {
+                add('self_referral', record.referred_email);
+            } else if (referred.domain && referred.domain === referrerDomain && !PUBLIC_EMAIL_DOMAINS.includes(referred.domain)) {
+                add('shared_domain', record.referred_email);
             }
-        }
-        
-        if (isMobile) {
+            if (referredBase && /\d+@/.test(String(record.referred_email || '').toLowerCase().replace(/\+[^@]*@/, '@'))) {
+                baseCounts.set(referredBase, (baseCounts.get(referredBase) || 0) + 1);
+            }
+            if (record.reward_granted && !record.has_paid_order) {
+                add('reward_before_payment', record.referred_email);
+            }
+        });
+        baseCounts.forEach((count, base) => {
+            if (count >= REFERRAL_PATTERN_MIN) add('email_pattern', `${base}#（${count} 個）`);
+        });
+
+        // 同一推薦碼 24 小時內的最多註冊數
+        const times = items.map(record => new Date(record.referral_date).getTime()).filter(time => !isNaN(time)).sort((a, b) => a - b);
+        let burst = 0;
+        for (let start = 0, end = 0; end < times.length; end++) {
+            while (times[end] - times[start] > REFERRAL_BURST_WINDOW_MS) start++;
+            burst = Math.max(burst, end - start + 1);
+        }
+        if (burst >= REFERRAL_BURST_MIN) add('signup_burst', `${burst} 人 / 24 小時`);
+
+        const matured = items.filter(record => -getDaysUntil(record.referral_date) >= REFERRAL_NO_CONVERT_DAYS);
+        if (matured.length >= REFERRAL_NO_CONVERT_MIN && !matured.some(record => record.has_paid_order)) {
+            add('never_convert', `${matured.length} 人註冊超過 ${REFERRAL_NO_CONVERT_DAYS} 天未付款`);
+        }
+
+        const score = Math.min(100, Object.entries(signals).reduce((sum, [type, details]) => {
+            const config = REFERRAL_RISK_SIGNALS[type];
+            return sum + Math.min(config.max, config.weight * details.length);
+        }, 0));
+
+        return {
+            key,
+            referrerId: first.referrer_id || null,
+            referrerName: first.referrer_name,
+            referrerEmail: first.referrer_email,
+            referralCode: first.referral_code,
+            records: items,
+            paidCount: items.filter(record => record.has_paid_order).length,
+            grantedCount: items.filter(record => record.reward_granted).length,
+            onHold: items.some(record => record.reward_on_hold),
+            signals,
+            score,
+            level: getReferralRiskLevel(score)
+        };
+    }).filter(risk => risk.score > 0).sort((a, b) => b.score - a.score);
+}
+
+function renderReferralRisks() {
+    const container = document.getElementById('referral-risk-list');
+    if (!container) return;
+    const filter = document.getElementById('referral-risk-filter')?.value || 'medium';
+    const minScore = filter === 'all' ? 1 : REFERRAL_RISK_LEVELS[filter].min;
+    const list = referralRisks.filter(risk => risk.score >= minScore);
+
+    if (list.length === 0) {
+        setHTML(container, '<div style="text-align: center; padding: 1rem; color: #64748b;">沒有符合條件的風險推薦人</div>');
+        return;
+    }
+
+    const signalBadges = risk => Object.entries(risk.signals).map(([type, details]) =>
+        `<span class="badge" style="background: #fef3c7; color: #92400e; margin: 2px;" title="${escapeAttr(details.join('\n'))}">${REFERRAL_RISK_SIGNALS[type].label} ×${details.length}</span>`
+    ).join('');
+    const actions = risk => risk.referrerId ? `
+        <button class="btn-action ${risk.onHold ? 'btn-success' : 'btn-edit'}" data-referrer-key="${escapeAttr(risk.key)}" data-permission="subscription.manage" onclick="toggleReferralRewardHold(this.dataset.referrerKey, ${!risk.onHold})" type="button">${risk.onHold ? '恢復獎勵' : '暫停獎勵'}</button>
+        ${risk.grantedCount > 0 ? `<button class="btn-action btn-danger" data-referrer-key="${escapeAttr(risk.key)}" data-permission="subscription.manage" onclick="revokeReferrerRewards(this.dataset.referrerKey)" type="button">撤銷已發放獎勵</button>` : ''}
+    ` : '<span style="color: #94a3b8; font-size: 0.85rem;">缺少推薦人 ID</span>';
+
+    setHTML(container, `
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>推薦人</th>
+                        <th>推薦碼</th>
+                        <th>被推薦 / 已付款</th>
+                        <th>風險訊號</th>
+                        <th>分數</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${list.map(risk => `
+                        <tr>
+                            <td>
+                                <div>${escapeHtml(risk.referrerName || '-')}${risk.onHold ? ' <span class="badge badge-warning">獎勵暫停中</span>' : ''}</div>
+                                <div style="font-size: 0.85rem; color: #64748b;">${escapeHtml(risk.referrerEmail || '')}</div>
+                            </td>
+                            <td><code style="font-size: 0.85em;">${escapeHtml(risk.referralCode || '-')}</code></td>
+                            <td>${risk.records.length} / ${risk.paidCount}</td>
+                            <td>${signalBadges(risk)}</td>
+                            <td><span class="badge ${REFERRAL_RISK_LEVELS[risk.level].badge}">${risk.score}・${REFERRAL_RISK_LEVELS[risk.level].label}</span></td>
+                            <td>${actions(risk)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+}
+
+// 暫停期間後端不再發放此推薦人的獎勵
+async function toggleReferralRewardHold(referrerKey, onHold) {
+    if (!requirePermission('subscription.manage')) return;
+    const risk = referralRisks.find(item => item.key === referrerKey);
+    if (!risk?.referrerId) return;
+
+    const note = prompt(onHold ? `暫停 ${risk.referrerEmail} 的推薦獎勵，請輸入原因：` : `恢復 ${risk.referrerEmail} 的推薦獎勵，請輸入原因：`);
+    if (note === null) return;
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/referrals/referrers/${risk.referrerId}/reward-hold`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            // 風險分數由前端計算，隨請求送出供後端寫入稽核日誌
+            body: JSON.stringify({ on_hold: onHold, note: note.trim(), risk_score: risk.score })
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            showToast(error.error || '操作失敗', 'error');
+            return;
+        }
+        showToast(onHold ? '已暫停此推薦人的獎勵' : '已恢復此推薦人的獎勵', 'success');
+        loadReferrals();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('變更推薦獎勵狀態失敗:', error);
+        showToast('操作失敗，請稍後再試', 'error');
+    }
+}
+
+// 撤銷單筆推薦獎勵，由後端一併縮短推薦人的訂閱天數；回傳是否成功
+async function postReferralRewardRevoke(record, note) {
+    const response = await adminFetch(`${API_BASE_URL}/admin/referrals/${record.id}/reward/revoke`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ note })
+    });
+    return response.ok;
+}
+
+async function revokeReferrerRewards(referrerKey) {
+    if (!requirePermission('subscription.manage')) return;
+    const risk = referralRisks.find(item => item.key === referrerKey);
+    if (!risk) return;
+    const granted = risk.records.filter(record => record.reward_granted && record.id);
+    if (granted.length === 0) {
+        showToast('沒有可撤銷的獎勵', 'info');
+        return;
+    }
+
+    const note = prompt(`將撤銷 ${risk.referrerEmail} 已發放的 ${granted.length} 筆推薦獎勵，並縮短其訂閱天數。請輸入原因：`);
+    if (note === null) return;
+    if (!note.trim()) {
+        showToast('請輸入撤銷原因', 'error');
+        return;
+    }
+
+    let succeeded = 0;
+    for (const record of granted) {
+        try {
+            if (await postReferralRewardRevoke(record, note.trim())) succeeded++;
+        } catch (error) {
+            if (isHandledRequestError(error)) return;
+            console.error('撤銷推薦獎勵失敗:', error);
+        }
+    }
+    showToast(`已撤銷 ${succeeded} / ${granted.length} 筆獎勵`, succeeded === granted.length ? 'success' : 'error');
+    loadReferrals();
+}
+
+// ===== 推薦獎勵管理 =====
+function findReferralRecord(recordId) {
+    return referralRecords.find(record => String(record.id) === String(recordId)) || null;
+}
+
+function buildReferralActions(record) {
+    if (!record.id) return '-';
+    if (record.reward_granted) {
+        return `<button class="btn-action btn-danger" data-record-id="${escapeAttr(record.id)}" data-permission="subscription.manage" onclick="revokeReferralReward(this.dataset.recordId)" type="button">撤銷獎勵</button>`;
+    }
+    if (!record.has_paid_order) return '-';
+    if (record.reward_on_hold) return '<span class="badge badge-warning">獎勵暫停中</span>';
+    return `<button class="btn-action btn-success" data-record-id="${escapeAttr(record.id)}" data-permission="subscription.manage" onclick="grantReferralReward(this.dataset.recordId)" type="button">發放獎勵</button>`;
+}
+
+async function grantReferralReward(recordId) {
+    if (!requirePermission('subscription.manage')) return;
+    const record = findReferralRecord(recordId);
+    if (!record) return;
+
+    const note = prompt(`發放 ${record.referrer_email} 推薦 ${record.referred_email} 的獎勵，請輸入備註：`);
+    if (note === null) return;
+    if (!note.trim()) {
+        showToast('請輸入發放備註', 'error');
+        return;
+    }
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/referrals/${record.id}/reward/grant`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ note: note.trim() })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showToast(result.error || '發放獎勵失敗', 'error');
+            return;
+        }
+        showToast('已發放推薦獎勵', 'success');
+        loadReferrals();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('發放推薦獎勵失敗:', error);
+        showToast('發放獎勵失敗，請稍後再試', 'error');
+    }
+}
+
+async function revokeReferralReward(recordId) {
+    if (!requirePermission('subscription.manage')) return;
+    const record = findReferralRecord(recordId);
+    if (!record) return;
+
+    const note = prompt(`撤銷 ${record.referrer_email} 推薦 ${record.referred_email} 的獎勵，並扣回推薦人的獎勵天數。請輸入原因：`);
+    if (note === null) return;
+    if (!note.trim()) {
+        showToast('請輸入撤銷原因', 'error');
+        return;
+    }
+
+    try {
+        if (await postReferralRewardRevoke(record, note.trim())) {
+            showToast('已撤銷推薦獎勵', 'success');
+            loadReferrals();
+        } else {
+            showToast('撤銷獎勵失敗', 'error');
+        }
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('撤銷推薦獎勵失敗:', error);
+        showToast('撤銷獎勵失敗，請稍後再試', 'error');
+    }
+}
+
+function showReferralLinkModal() {
+    if (!requirePermission('subscription.manage')) return;
+    ['referral-link-referred', 'referral-link-referrer', 'referral-link-note'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('referral-link-modal').classList.add('active');
+}
+
+async function confirmReferralLink() {
+    if (!requirePermission('subscription.manage')) return;
+    const referred = document.getElementById('referral-link-referred').value.trim();
+    const referrer = document.getElementById('referral-link-referrer').value.trim();
+    const note = document.getElementById('referral-link-note').value.trim();
+    if (!referred || !referrer || !note) {
+        showToast('請填寫被推薦人、推薦人與備註', 'error');
+        return;
+    }
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/referrals/link`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ referred, referrer, note })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showToast(result.error || '綁定失敗', 'error');
+            return;
+        }
+        closeModal('referral-link-modal');
+        showToast('已綁定推薦關係', 'success');
+        loadReferrals();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('綁定推薦失敗:', error);
+        showToast('綁定失敗，請稍後再試', 'error');
+    }
+}
+
+// 訂單查詢條件（欄位 ID → 後端參數）；篩選、排序與分頁由後端處理
+const ORDER_FILTER_PARAMS = {
+    'order-search': 'search',
+    'order-filter-status': 'payment_status',
+    'order-filter-plan': 'plan_type',
+    'order-filter-method': 'payment_method',
+    'order-filter-date-from': 'date_from',
+    'order-filter-date-to': 'date_to',
+    'order-filter-amount-min': 'amount_min',
+    'order-filter-amount-max': 'amount_max'
+};
+let currentOrdersPage = 1;
+const ordersPageSize = 50;
+let ordersFilterTimer = null;
+
+// 組合後端查詢參數；page 為 null 時不分頁（匯出用）
+function buildOrdersQueryParams(page = null) {
+    const params = new URLSearchParams();
+    Object.entries(ORDER_FILTER_PARAMS).forEach(([id, name]) => {
+        const value = (document.getElementById(id)?.value || '').trim();
+        if (value) params.set(name, value);
+    });
+    if (params.has('date_from') || params.has('date_to')) {
+        params.set('date_field', document.getElementById('order-filter-date-field')?.value || 'paid_at');
+    }
+    if (page) {
+        params.set('page', page);
+        params.set('page_size', ordersPageSize);
+    }
+    return params;
+}
+
+// 篩選條件變更：文字/金額輸入延遲查詢，下拉選單與日期立即查詢
+function filterOrders(immediate = false) {
+    clearTimeout(ordersFilterTimer);
+    if (immediate) {
+        loadOrders(1);
+    } else {
+        ordersFilterTimer = setTimeout(() => loadOrders(1), 400);
+    }
+}
+
+function resetOrderFilters() {
+    [...Object.keys(ORDER_FILTER_PARAMS), 'order-filter-date-field'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = el.tagName === 'SELECT' ? el.options[0].value : '';
+    });
+    loadOrders(1);
+}
+
+function renderOrdersPagination(page, totalPages, total) {
+    const container = document.getElementById('orders-pagination');
+    if (!container) return;
+    
+    const countEl = document.getElementById('orders-count');
+    if (countEl) {
+        countEl.textContent = `共 ${total} 筆`;
+    }
+    
+    if (totalPages <= 1) {
+        container.innerHTML = '';
+        return;
+    }
+    container.innerHTML = `
+        <span style="color: #64748b; font-size: 0.9em;">第 ${page} / ${totalPages} 頁</span>
+        <button class="btn btn-secondary" onclick="loadOrders(${page - 1})" ${page <= 1 ? 'disabled' : ''}>← 上一頁</button>
+        <button class="btn btn-secondary" onclick="loadOrders(${page + 1})" ${page >= totalPages ? 'disabled' : ''}>下一頁 →</button>
+    `;
+}
+
+// 以目前篩選條件匯出全部符合的訂單（不分頁）
+function exportFilteredOrders() {
+    exportCSV('orders', buildOrdersQueryParams());
+}
+
+async function loadOrders(page = currentOrdersPage) {
+    try {
+        currentOrdersPage = page;
+        const response = await cachedAdminFetch(`${API_BASE_URL}/admin/orders?${buildOrdersQueryParams(page)}`, {}, true, () => loadOrders(page));
+        const data = await response.json();
+        const allOrders = data.orders || [];
+        const totalPages = data.total_pages || 1;
+        
+        // 篩選後總頁數變少時，回到最後一頁
+        if (page > totalPages) {
+            return loadOrders(totalPages);
+        }
+        updateRouteHash();
+        renderOrdersPagination(page, totalPages, data.total ?? allOrders.length);
+        rememberAuditSnapshots('order', allOrders, order => order.order_id || order.id);
+        
+        console.log('訂單數據:', allOrders);
+        
+        // 檢測是否為手機版
+        const isMobile = window.innerWidth <= 768;
+        // 更新選擇器以適配新的標籤頁結構
+        let tableContainer = document.querySelector('#tab-orders-list .table-container') || 
+                             document.querySelector('#orders .table-container');
+        
+        if (!tableContainer) {
+            // 等待元素出現（標籤頁可能需要時間顯示）
+            tableContainer = await waitFor('#tab-orders-list .table-container, #orders .table-container', 3000).catch(() => null);
+        }
+        
+        if (!tableContainer) {
+            console.error('找不到訂單表格容器');
+            // 嘗試直接查找標籤頁內容並創建容器
+            const tabPanel = document.getElementById('tab-orders-list');
+            if (tabPanel) {
+                let container = tabPanel.querySelector('.table-container');
+                if (!container) {
+                    container = document.createElement('div');
+                    container.className = 'table-container';
+                    tabPanel.appendChild(container);
+                }
+                tableContainer = container;
+            } else {
+                return;
+            }
+        }
+        
+        renderDataAsOf('orders-data-as-of', tableContainer, response);
+        
+        if (isMobile) {
             // 手機版：卡片式佈局
             setHTML(tableContainer, '');
             const cardsContainer = document.createElement('div');
             cardsContainer.className = 'mobile-cards-container';
             
             if (allOrders.length === 0) {
-                cardsContainer.innerHTML = '<div style="text-align: center; padding: 2rem;">暫無訂單記錄</div>';
+                cardsContainer.innerHTML = `<div style="text-align: center; padding: 2rem;">${buildOrdersQueryParams().toString() ? '沒有符合篩選條件的訂單' : '暫無訂單記錄'}</div>`;
             } else {
                 cardsContainer.innerHTML = allOrders.map(order => {
                     const orderId = order.order_id || order.id;
@@ -5514,8 +9088,8 @@ async function loadOrders() {
                     <div class="mobile-card">
                         <div class="mobile-card-header">
                             <span class="mobile-card-title">${escapeHtml(orderId || '未知訂單')}</span>
-                            <span class="mobile-card-badge ${order.payment_status === 'paid' ? 'badge-success' : 'badge-danger'}">
-                                ${order.payment_status === 'paid' ? '已付款' : '待付款'}
+                            <span class="mobile-card-badge ${getOrderPaymentStatus(order).badge}">
+                                ${getOrderPaymentStatus(order).label}
                             </span>
                         </div>
                         <div class="mobile-card-row">
@@ -5550,8 +9124,10 @@ async function loadOrders() {
                             <span class="mobile-card-label">發票號碼</span>
                             <span class="mobile-card-value">${escapeHtml(order.invoice_number || '-')}</span>
                         </div>
+                        ${buildOrderRefundCardRows(order)}
                         <div class="mobile-card-actions">
-                            <button class="btn-action btn-delete" data-order-id="${safeOrderId}" onclick="adminDeleteOrder(this.dataset.orderId)" type="button">刪除</button>
+                            ${canRefundOrder(order) ? `<button class="btn-action btn-edit" data-order-id="${safeOrderId}" data-permission="orders.refund" onclick="showRefundModal(this.dataset.orderId)" type="button">退款</button>` : ''}
+                            <button class="btn-action btn-delete" data-order-id="${safeOrderId}" data-permission="orders.delete" onclick="adminDeleteOrder(this.dataset.orderId)" type="button">刪除</button>
                         </div>
                     </div>
                 `;
@@ -5630,22 +9206,30 @@ async function loadOrders() {
                     <td>NT$${order.amount?.toLocaleString() || 0}</td>
                     <td>${escapeHtml(order.payment_method || '-')}</td>
                     <td>
-                        <span class="badge ${order.payment_status === 'paid' ? 'badge-success' : 'badge-danger'}">
-                            ${order.payment_status === 'paid' ? '已付款' : '待付款'}
+                        <span class="badge ${getOrderPaymentStatus(order).badge}">
+                            ${getOrderPaymentStatus(order).label}
                         </span>
                     </td>
                     <td>${paidDate}</td>
                     <td>${expiresDate}</td>
                     <td>${escapeHtml(order.invoice_number || '-')}</td>
                     <td>
-                        <button class="btn-action btn-delete" data-order-id="${safeOrderId}" onclick="adminDeleteOrder(this.dataset.orderId)" type="button" title="刪除訂單">
+                        ${canRefundOrder(order) ? `<button class="btn-action btn-edit" data-order-id="${safeOrderId}" data-permission="orders.refund" onclick="showRefundModal(this.dataset.orderId)" type="button" title="退款">
+                            ↩️ 退款
+                        </button>` : ''}
+                        <button class="btn-action btn-delete" data-order-id="${safeOrderId}" data-permission="orders.delete" onclick="adminDeleteOrder(this.dataset.orderId)" type="button" title="刪除訂單">
                             🗑️ 刪除
                         </button>
                     </td>
                 </tr>
+                ${buildOrderRefundRows(order, 2, 6)}
             `;
         });
         
+        if (allOrders.length === 0) {
+            tableHTML += `<tr><td colspan="10" style="text-align: center; padding: 2rem;">${buildOrdersQueryParams().toString() ? '沒有符合篩選條件的訂單' : '暫無訂單記錄'}</td></tr>`;
+        }
+        
         tableHTML += `
                     </tbody>
                 </table>
@@ -5660,6 +9244,7 @@ async function loadOrders() {
         const paidCount = allOrders.filter(o => o.payment_status === 'paid').length;
         const pendingCount = allOrders.filter(o => o.payment_status !== 'paid').length;
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入訂單失敗:', error);
         showToast('載入訂單失敗', 'error');
     }
@@ -5770,6 +9355,7 @@ async function loadOrderCleanupLogs() {
             }).join(''));
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入清理日誌失敗:', error);
         showToast('載入清理日誌失敗', 'error');
         const tbody = document.getElementById('cleanup-logs-table-body');
@@ -5844,50 +9430,1358 @@ async function viewCleanupLogDetail(logId) {
         content += `</div>`;
         showUserDetailModal(content);
     } catch (error) {
-        console.error('載入清理日誌詳情失敗:', error);
-        showToast('載入清理日誌詳情失敗', 'error');
+        console.error('載入清理日誌詳情失敗:', error);
+        showToast('載入清理日誌詳情失敗', 'error');
+    }
+}
+
+// ===== 訂單清理政策 =====
+// 已付款與退款訂單不可清理，僅開放未完成付款的狀態
+const CLEANUP_ORDER_STATUSES = {
+    pending: '待付款',
+    failed: '付款失敗',
+    cancelled: '已取消'
+};
+
+const CLEANUP_POLICY_DEFAULTS = {
+    statuses: ['pending'],
+    hours_threshold: 24,
+    exclusions: [],
+    exclude_amount_above: null,
+    // 後端沒有已儲存的政策時不預設啟用自動刪除，需由管理員明確開啟
+    schedule_enabled: false,
+    schedule_time: '03:00'
+};
+
+let cleanupPolicy = { ...CLEANUP_POLICY_DEFAULTS };
+let cleanupPreview = null;
+
+async function loadOrderCleanupPolicy() {
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/order-cleanup/policy`);
+        const data = await response.json();
+        cleanupPolicy = { ...CLEANUP_POLICY_DEFAULTS, ...(data.policy || {}) };
+        fillCleanupPolicyForm(cleanupPolicy);
+        renderCleanupPolicySummary(data.next_run_at, data.last_run_at);
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('載入清理政策失敗:', error);
+        showToast('載入清理政策失敗', 'error');
+    }
+}
+
+function fillCleanupPolicyForm(policy) {
+    document.querySelectorAll('input[name="cleanup-policy-status"]').forEach(input => {
+        input.checked = policy.statuses.includes(input.value);
+    });
+    document.getElementById('cleanup-policy-hours').value = policy.hours_threshold;
+    document.getElementById('cleanup-policy-exclusions').value = (policy.exclusions || []).join('\n');
+    document.getElementById('cleanup-policy-amount').value = policy.exclude_amount_above ?? '';
+    document.getElementById('cleanup-policy-schedule').checked = !!policy.schedule_enabled;
+    document.getElementById('cleanup-policy-time').value = policy.schedule_time || '';
+}
+
+function getCleanupPolicyForm() {
+    const amount = document.getElementById('cleanup-policy-amount').value;
+    return {
+        statuses: [...document.querySelectorAll('input[name="cleanup-policy-status"]:checked')].map(input => input.value),
+        hours_threshold: parseInt(document.getElementById('cleanup-policy-hours').value, 10),
+        exclusions: [...new Set(document.getElementById('cleanup-policy-exclusions').value.split(/[\n,]/).map(item => item.trim()).filter(Boolean))],
+        exclude_amount_above: amount === '' ? null : Number(amount),
+        schedule_enabled: document.getElementById('cleanup-policy-schedule').checked,
+        schedule_time: document.getElementById('cleanup-policy-time').value
+    };
+}
+
+// 回傳錯誤訊息，通過時回傳 null
+function validateCleanupPolicy(policy) {
+    if (policy.statuses.length === 0) return '請至少選擇一種訂單狀態';
+    if (!Number.isInteger(policy.hours_threshold) || policy.hours_threshold < 1) return '清理門檻需為至少 1 小時';
+    if (policy.exclude_amount_above !== null && !(policy.exclude_amount_above >= 0)) return '保留金額門檻需為 0 以上';
+    if (policy.schedule_enabled && !policy.schedule_time) return '請設定每日執行時間';
+    return null;
+}
+
+function describeCleanupPolicy(policy) {
+    const statuses = policy.statuses.map(status => CLEANUP_ORDER_STATUSES[status] || status).join('、');
+    let text = `清理超過 <strong>${policy.hours_threshold} 小時</strong>的${escapeHtml(statuses)}訂單`;
+    if (policy.exclude_amount_above !== null) text += `，保留金額高於 NT$${Number(policy.exclude_amount_above).toLocaleString()} 的訂單`;
+    if (policy.exclusions.length) text += `，排除 ${policy.exclusions.length} 筆指定訂單/用戶`;
+    return text;
+}
+
+function renderCleanupPolicySummary(nextRunAt, lastRunAt) {
+    const summary = document.getElementById('cleanup-policy-summary');
+    if (!summary) return;
+    const schedule = cleanupPolicy.schedule_enabled
+        ? `每天 ${escapeHtml(cleanupPolicy.schedule_time)} 自動執行${nextRunAt ? `，下次執行：${escapeHtml(formatDateTime(nextRunAt))}` : ''}`
+        : '自動清理已停用';
+    setHTML(summary, `
+        <strong>清理規則：</strong>${describeCleanupPolicy(cleanupPolicy)}。${schedule}。
+        ${lastRunAt ? `<span style="color: #64748b;">上次執行：${escapeHtml(formatDateTime(lastRunAt))}</span>` : ''}
+    `);
+}
+
+// 新政策是否會讓自動排程刪除更多訂單：開啟排程、增加狀態、縮短門檻、移除排除條件或放寬保留金額
+function widensCleanupSchedule(current, next) {
+    if (!next.schedule_enabled) return false;
+    if (!current.schedule_enabled) return true;
+    return next.statuses.some(status => !current.statuses.includes(status)) ||
+        next.hours_threshold < current.hours_threshold ||
+        (current.exclusions || []).some(item => !next.exclusions.includes(item)) ||
+        (current.exclude_amount_above !== null && (next.exclude_amount_above === null || next.exclude_amount_above > current.exclude_amount_above));
+}
+
+async function saveOrderCleanupPolicy() {
+    if (!requirePermission('orders.delete')) return;
+    const policy = getCleanupPolicyForm();
+    const error = validateCleanupPolicy(policy);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+
+    // 開啟或放寬自動清理需經另一位管理員核准，核准後由後端套用政策
+    if (widensCleanupSchedule(cleanupPolicy, policy)) {
+        const statuses = policy.statuses.map(status => CLEANUP_ORDER_STATUSES[status] || status).join('、');
+        await submitApprovalRequest('order.cleanup_policy', 'orders', {
+            summary: `每天 ${policy.schedule_time} 自動清理超過 ${policy.hours_threshold} 小時的${statuses}訂單${policy.exclusions.length ? `（排除 ${policy.exclusions.length} 筆）` : ''}`,
+            before: cleanupPolicy,
+            payload: { policy }
+        });
+        return;
+    }
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/order-cleanup/policy`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(policy)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showToast(result.error || '儲存清理政策失敗', 'error');
+            return;
+        }
+        cleanupPolicy = { ...CLEANUP_POLICY_DEFAULTS, ...(result.policy || policy) };
+        renderCleanupPolicySummary(result.next_run_at, result.last_run_at);
+        showToast('已儲存清理政策', 'success');
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('儲存清理政策失敗:', error);
+        showToast('儲存清理政策失敗，請稍後再試', 'error');
+    }
+}
+
+// 依表單目前的設定試算，不會刪除任何訂單
+async function previewOrderCleanup() {
+    const policy = getCleanupPolicyForm();
+    const error = validateCleanupPolicy(policy);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    const container = document.getElementById('cleanup-preview');
+    setHTML(container, '<div style="text-align: center; padding: 1rem; color: #64748b;">試算中...</div>');
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/order-cleanup/preview`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(policy)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            setHTML(container, '');
+            showToast(data.error || '預覽清理失敗', 'error');
+            return;
+        }
+        const orders = data.orders || [];
+        cleanupPreview = {
+            policy,
+            orders,
+            totalAmount: data.total_amount ?? orders.reduce((sum, order) => sum + (Number(order.amount) || 0), 0)
+        };
+        renderOrderCleanupPreview();
+    } catch (error) {
+        setHTML(container, '');
+        if (isHandledRequestError(error)) return;
+        console.error('預覽清理失敗:', error);
+        showToast('預覽清理失敗', 'error');
+    }
+}
+
+function renderOrderCleanupPreview() {
+    const container = document.getElementById('cleanup-preview');
+    if (!container || !cleanupPreview) return;
+    const { orders, totalAmount } = cleanupPreview;
+
+    if (orders.length === 0) {
+        setHTML(container, '<div style="text-align: center; padding: 1rem; color: #64748b;">依目前設定沒有需要清理的訂單</div>');
+        return;
+    }
+
+    const planLabel = order => order.plan_type === 'two_year' ? 'Creator Pro 雙年' : order.plan_type === 'yearly' ? 'Script Lite 入門' : order.plan_type === 'lifetime' ? '永久使用' : (order.plan_type === 'monthly' || order.plan_type === 'personal') ? '舊方案（需升級）' : order.plan_type || '-';
+
+    setHTML(container, `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; flex-wrap: wrap; margin-bottom: 0.75rem;">
+            <div><strong>預覽結果：</strong>將刪除 <strong>${orders.length}</strong> 筆訂單，總金額 <strong>NT$${totalAmount.toLocaleString()}</strong></div>
+            <button class="btn-action btn-danger" data-permission="orders.delete" onclick="runOrderCleanup()" type="button">🧹 申請立即執行</button>
+        </div>
+        <div class="table-wrapper" style="max-height: 360px; overflow-y: auto;">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>訂單編號</th>
+                        <th>用戶</th>
+                        <th>方案</th>
+                        <th>狀態</th>
+                        <th>金額</th>
+                        <th>創建時間</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${orders.map(order => `
+                        <tr>
+                            <td><code style="font-size: 0.85em;">${escapeHtml(order.order_id || '-')}</code></td>
+                            <td>${escapeHtml(order.email || order.user_id || '-')}</td>
+                            <td>${escapeHtml(planLabel(order))}</td>
+                            <td>${escapeHtml(CLEANUP_ORDER_STATUSES[order.payment_status] || order.payment_status || '-')}</td>
+                            <td>NT$${(Number(order.amount) || 0).toLocaleString()}</td>
+                            <td>${escapeHtml(formatDateTime(order.created_at))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+}
+
+// 立即執行走雙人審核；只送出預覽過的訂單，後端執行時會再確認仍符合政策
+async function runOrderCleanup() {
+    if (!requirePermission('orders.delete')) return;
+    if (!cleanupPreview?.orders.length) return;
+    if (JSON.stringify(getCleanupPolicyForm()) !== JSON.stringify(cleanupPreview.policy)) {
+        showToast('清理設定已變更，請重新預覽', 'error');
+        return;
+    }
+
+    const { policy, orders, totalAmount } = cleanupPreview;
+    await submitApprovalRequest('order.cleanup_run', 'orders', {
+        summary: `立即清理 ${orders.length} 筆訂單（總金額 NT$${totalAmount.toLocaleString()}）`,
+        payload: {
+            policy,
+            order_ids: orders.map(order => order.order_id)
+        }
+    });
+}
+
+// 管理員刪除訂單
+async function adminDeleteOrder(orderId) {
+    if (!requirePermission('orders.delete')) return;
+    // 確保 orderId 是有效的字符串
+    if (!orderId) {
+        showToast('訂單 ID 無效', 'error');
+        console.error('adminDeleteOrder: orderId 為空或無效', orderId);
+        return;
+    }
+    
+    // 轉換為字符串（處理可能的數字或其他類型）
+    orderId = String(orderId);
+    
+    // 清理訂單 ID（移除可能的額外字符，如 :1）
+    const cleanOrderId = orderId.trim().split(':')[0]; // 移除冒號後的所有內容
+    
+    // 刪除訂單需經另一位管理員核准（財務控管），核准後由後端執行
+    const order = getAuditSnapshot('order', cleanOrderId);
+    await submitApprovalRequest('order.delete', cleanOrderId, {
+        summary: `刪除訂單 ${cleanOrderId}${order ? `（${order.user_email || order.user_id || '-'}，NT$${order.amount ?? '-'}，${order.payment_status || '-'}）` : ''}`,
+        before: order
+    });
+}
+
+// ===== 訂單退款 =====
+const REFUND_REASONS = {
+    customer_request: '客戶申請退款',
+    duplicate_payment: '重複付款',
+    service_issue: '服務異常補償',
+    fraud: '盜刷/詐欺',
+    other: '其他'
+};
+
+const ORDER_PAYMENT_STATUS = {
+    paid: { label: '已付款', icon: '✅', badge: 'badge-success' },
+    partially_refunded: { label: '部分退款', icon: '↩️', badge: 'badge-warning' },
+    refunded: { label: '已退款', icon: '↩️', badge: 'badge-danger' },
+    pending: { label: '待付款', icon: '⏳', badge: 'badge-danger' }
+};
+
+let currentRefundOrder = null;
+let currentRefundLicense = null;
+
+function getOrderPaymentStatus(order) {
+    return ORDER_PAYMENT_STATUS[order.payment_status] || ORDER_PAYMENT_STATUS.pending;
+}
+
+function getOrderRefundedAmount(order) {
+    if (order.refunded_amount != null) return Number(order.refunded_amount) || 0;
+    return (order.refunds || []).reduce((sum, refund) => sum + (Number(refund.amount) || 0), 0);
+}
+
+function getOrderRefundableAmount(order) {
+    return Math.max(0, (Number(order.amount) || 0) - getOrderRefundedAmount(order));
+}
+
+function canRefundOrder(order) {
+    return (order.payment_status === 'paid' || order.payment_status === 'partially_refunded') && getOrderRefundableAmount(order) > 0;
+}
+
+// 退款明細列（訂單列表與用戶詳情共用），每筆退款一列，金額以負數對齊在金額欄
+function buildOrderRefundRows(order, reasonColspan, trailingColspan, cellStyle = '') {
+    return (order.refunds || []).map(refund => `
+        <tr class="order-refund-row">
+            <td style="${cellStyle}">↳ 退款${refund.id ? ` #${escapeHtml(String(refund.id))}` : ''}</td>
+            <td style="${cellStyle}" colspan="${reasonColspan}">${escapeHtml(REFUND_REASONS[refund.reason] || refund.reason || '-')}${refund.note ? `・${escapeHtml(refund.note)}` : ''}</td>
+            <td style="${cellStyle} color: #dc2626; font-weight: 600;">-NT$${(Number(refund.amount) || 0).toLocaleString()}</td>
+            <td style="${cellStyle} color: #64748b;" colspan="${trailingColspan}">${formatDateTime(refund.created_at)}${refund.admin_email ? `・${escapeHtml(refund.admin_email)}` : ''}</td>
+        </tr>
+    `).join('');
+}
+
+function buildOrderRefundCardRows(order) {
+    return (order.refunds || []).map(refund => `
+        <div class="mobile-card-row order-refund-row">
+            <span class="mobile-card-label">↳ 退款 ${formatDate(refund.created_at)}</span>
+            <span class="mobile-card-value" style="color: #dc2626;">-NT$${(Number(refund.amount) || 0).toLocaleString()}・${escapeHtml(REFUND_REASONS[refund.reason] || refund.reason || '-')}</span>
+        </div>
+    `).join('');
+}
+
+async function showRefundModal(orderId) {
+    if (!requirePermission('orders.refund')) return;
+    const order = getAuditSnapshot('order', orderId);
+    if (!order) {
+        showToast('找不到訂單資料，請重新載入列表', 'error');
+        return;
+    }
+    if (!canRefundOrder(order)) {
+        showToast('此訂單沒有可退款的金額', 'info');
+        return;
+    }
+
+    currentRefundOrder = order;
+    currentRefundLicense = null;
+    const refundable = getOrderRefundableAmount(order);
+
+    setHTML(document.getElementById('refund-order-summary'), `
+        <div><strong>${escapeHtml(String(order.order_id || order.id))}</strong>・${escapeHtml(order.user_email || order.user_id || '-')}</div>
+        <div style="color: #64748b; font-size: 0.875rem;">訂單金額 NT$${(Number(order.amount) || 0).toLocaleString()}・已退款 NT$${getOrderRefundedAmount(order).toLocaleString()}・可退款 NT$${refundable.toLocaleString()}</div>
+    `);
+    document.querySelector('input[name="refund-type"][value="full"]').checked = true;
+    const amountInput = document.getElementById('refund-amount');
+    amountInput.max = refundable;
+    amountInput.value = refundable;
+    document.getElementById('refund-reason').value = 'customer_request';
+    document.getElementById('refund-note').value = '';
+    document.getElementById('refund-subscription-action').value = 'auto';
+    updateRefundForm();
+    document.getElementById('refund-modal').classList.add('active');
+
+    // 讀取用戶目前的授權，用於計算部分退款後的剩餘天數
+    if (order.user_id) {
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/admin/user/${order.user_id}/data`);
+            const userData = await response.json();
+            if (currentRefundOrder !== order) return;
+            currentRefundLicense = userData.license || null;
+            updateRefundForm();
+        } catch (error) {
+            if (isHandledRequestError(error)) return;
+            console.error('載入用戶授權失敗:', error);
+        }
+    }
+}
+
+function getRefundFormAmount() {
+    if (!currentRefundOrder) return 0;
+    const refundable = getOrderRefundableAmount(currentRefundOrder);
+    const type = document.querySelector('input[name="refund-type"]:checked')?.value;
+    if (type === 'full') return refundable;
+    return Number(document.getElementById('refund-amount').value) || 0;
+}
+
+// 依退款金額與處理方式計算訂閱調整：全額退款撤銷訂閱，部分退款依退款比例縮短剩餘天數
+function planRefundSubscriptionChange(order, license, amount, mode) {
+    if (mode === 'keep') return { type: 'keep' };
+    const isFullRefund = amount >= getOrderRefundableAmount(order);
+    if (mode === 'revoke' || isFullRefund) return { type: 'revoke' };
+
+    if (!license || !license.tier || license.tier === 'none') return { type: 'keep', reason: '用戶目前沒有有效訂閱' };
+    if (license.tier === 'lifetime' || !license.expires_at) return { type: 'keep', reason: '永久授權不依比例縮短，如需撤銷請選擇「撤銷訂閱」' };
+
+    const remainingDays = Math.ceil((new Date(license.expires_at) - Date.now()) / 86400000);
+    if (remainingDays <= 0) return { type: 'keep', reason: '訂閱已到期' };
+    const ratio = Math.min(1, amount / (Number(order.amount) || amount));
+    const days = Math.floor(remainingDays * (1 - ratio));
+    if (days <= 0) return { type: 'revoke' };
+    return {
+        type: 'adjust',
+        remainingDays,
+        days,
+        planType: license.product_tier || 'vip',
+        tier: license.tier
+    };
+}
+
+function updateRefundForm() {
+    if (!currentRefundOrder) return;
+    const type = document.querySelector('input[name="refund-type"]:checked')?.value;
+    const amountInput = document.getElementById('refund-amount');
+    amountInput.disabled = type === 'full';
+    if (type === 'full') {
+        amountInput.value = getOrderRefundableAmount(currentRefundOrder);
+    }
+
+    const amount = getRefundFormAmount();
+    const mode = document.getElementById('refund-subscription-action').value;
+    const preview = document.getElementById('refund-subscription-preview');
+    if (mode === 'auto' && type === 'partial' && currentRefundOrder.user_id && !currentRefundLicense) {
+        preview.textContent = '讀取用戶授權中...';
+        return;
+    }
+
+    const change = planRefundSubscriptionChange(currentRefundOrder, currentRefundLicense, amount, mode);
+    if (!currentRefundOrder.user_id && change.type !== 'keep') {
+        preview.textContent = '⚠️ 訂單沒有對應的用戶，無法自動調整訂閱';
+    } else if (change.type === 'revoke') {
+        preview.textContent = '將取消此用戶的訂閱';
+    } else if (change.type === 'adjust') {
+        preview.textContent = `剩餘 ${change.remainingDays} 天將依退款比例縮短為 ${change.days} 天`;
+    } else {
+        preview.textContent = change.reason ? `不調整訂閱（${change.reason}）` : '不調整訂閱';
+    }
+}
+
+async function confirmRefund() {
+    const order = currentRefundOrder;
+    if (!order) return;
+    if (!requirePermission('orders.refund')) return;
+
+    const orderId = String(order.order_id || order.id);
+    const refundable = getOrderRefundableAmount(order);
+    const amount = getRefundFormAmount();
+    if (!Number.isFinite(amount) || amount <= 0 || amount > refundable) {
+        showToast(`退款金額需介於 1 到 ${refundable.toLocaleString()} 之間`, 'error');
+        return;
+    }
+
+    const reason = document.getElementById('refund-reason').value;
+    const note = document.getElementById('refund-note').value.trim();
+    if (reason === 'other' && !note) {
+        showToast('原因為「其他」時請填寫備註', 'error');
+        return;
+    }
+
+    const mode = document.getElementById('refund-subscription-action').value;
+    const change = planRefundSubscriptionChange(order, currentRefundLicense, amount, mode);
+    if (!confirm(`確定要退款 NT$${amount.toLocaleString()}（訂單 ${orderId}）嗎？`)) return;
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/orders/${encodeURIComponent(orderId)}/refunds`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ amount, reason, note })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showToast(result.error || '退款失敗', 'error');
+            return;
+        }
+
+        closeModal('refund-modal');
+        currentRefundOrder = null;
+        showToast(`已退款 NT$${amount.toLocaleString()}`, 'success');
+
+        if (order.user_id && change.type !== 'keep') {
+            await applyRefundSubscriptionChange(order.user_id, change, `訂單 ${orderId} 退款 NT$${amount.toLocaleString()}${note ? `：${note}` : ''}`);
+        }
+        loadOrders(currentOrdersPage);
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('退款失敗:', error);
+        showToast('退款失敗', 'error');
+    }
+}
+
+// 退款已完成後才調整訂閱；調整失敗只提示，需手動處理
+async function applyRefundSubscriptionChange(userId, change, note) {
+    const subscribe = change.type === 'adjust';
+    // 備註隨請求送出，由後端寫入稽核日誌
+    const requestBody = subscribe
+        ? buildSubscriptionRequestBody(true, change.days, note, change.planType, change.tier)
+        : { ...buildSubscriptionRequestBody(false), admin_note: note };
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/users/${userId}/subscription`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(requestBody)
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            showToast(`退款已完成，但調整訂閱失敗：${error.error || response.status}，請手動處理`, 'error');
+            return;
+        }
+        showToast(subscribe ? `已將訂閱剩餘天數調整為 ${change.days} 天` : '已取消此用戶的訂閱', 'success');
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('退款後調整訂閱失敗:', error);
+        showToast('退款已完成，但調整訂閱失敗，請手動處理', 'error');
+    }
+}
+
+// ===== 營收分析 =====
+const REVENUE_PLAN_TIERS = {
+    lite: { label: 'Lite', rank: 1, color: '#10b981' },
+    pro: { label: 'Pro', rank: 2, color: '#3b82f6' },
+    max: { label: 'MAX', rank: 3, color: '#8b5cf6' },
+    vip: { label: 'VIP', rank: 4, color: '#f59e0b' }
+};
+
+// months：訂閱涵蓋月數，永久方案為 null（不計入 MRR）
+const REVENUE_BILLING_PERIODS = {
+    monthly: { label: '月付', months: 1, color: '#0ea5e9' },
+    yearly: { label: '年付', months: 12, color: '#3b82f6' },
+    two_year: { label: '雙年付', months: 24, color: '#8b5cf6' },
+    lifetime: { label: '永久使用', months: null, color: '#f59e0b' }
+};
+
+const REVENUE_COHORT_CHART_LIMIT = 6;
+
+function getPlanLabel(plan) {
+    return REVENUE_PLAN_TIERS[plan]?.label || (plan === 'free' ? 'Free' : plan);
+}
+
+let revenueAnalyticsData = null;
+
+// 訂單沒有 product_tier 時依方案名稱推斷（yearly = Script Lite、two_year = Creator Pro、lifetime = VIP）
+function getOrderProductTier(order) {
+    if (REVENUE_PLAN_TIERS[order.product_tier]) return order.product_tier;
+    return { yearly: 'lite', two_year: 'pro', lifetime: 'vip' }[order.plan_type] || 'lite';
+}
+
+function getOrderBillingPeriod(order) {
+    const period = REVENUE_BILLING_PERIODS[order.tier] ? order.tier : order.plan_type;
+    return REVENUE_BILLING_PERIODS[period] ? period : 'monthly';
+}
+
+function getMonthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+}
+
+// 某月份每位用戶的 MRR（訂單淨額平均分攤到涵蓋的月份）
+function getMonthlyRecurringByUser(payments, monthStart) {
+    const monthEnd = addMonths(monthStart, 1);
+    const byUser = new Map();
+    payments.forEach(payment => {
+        if (!payment.months || payment.paidAt >= monthEnd || addMonths(payment.paidAt, payment.months) <= monthStart) return;
+        byUser.set(payment.userId, (byUser.get(payment.userId) || 0) + payment.net / payment.months);
+    });
+    return byUser;
+}
+
+function sumMapValues(map, keys = null) {
+    let total = 0;
+    (keys || map.keys()).forEach(key => { total += map.get(key) || 0; });
+    return total;
+}
+
+function buildRevenueAnalytics(orders, monthCount) {
+    const payments = orders
+        .filter(order => order.paid_at && ['paid', 'partially_refunded', 'refunded'].includes(order.payment_status))
+        .map(order => {
+            const period = getOrderBillingPeriod(order);
+            const refunded = getOrderRefundedAmount(order);
+            return {
+                userId: String(order.user_id || order.user_email || order.order_id || order.id),
+                paidAt: new Date(order.paid_at),
+                amount: Number(order.amount) || 0,
+                net: Math.max(0, (Number(order.amount) || 0) - refunded),
+                refunded,
+                refunds: order.refunds || [],
+                tier: getOrderProductTier(order),
+                period,
+                months: REVENUE_BILLING_PERIODS[period].months
+            };
+        })
+        .filter(payment => !isNaN(payment.paidAt))
+        .sort((a, b) => a.paidAt - b.paidAt);
+
+    // 新購：用戶第一筆付款；升級：方案高於上一筆；其餘視為續訂
+    const lastPaymentByUser = new Map();
+    const firstMonthByUser = new Map();
+    payments.forEach(payment => {
+        const previous = lastPaymentByUser.get(payment.userId);
+        if (!previous) {
+            payment.kind = 'new';
+            firstMonthByUser.set(payment.userId, getMonthKey(payment.paidAt));
+        } else {
+            payment.kind = REVENUE_PLAN_TIERS[payment.tier].rank > REVENUE_PLAN_TIERS[previous.tier].rank ? 'upgrade' : 'renewal';
+        }
+        lastPaymentByUser.set(payment.userId, payment);
+    });
+
+    const now = new Date();
+    const monthStarts = [];
+    for (let i = monthCount - 1; i >= 0; i--) {
+        monthStarts.push(new Date(now.getFullYear(), now.getMonth() - i, 1));
+    }
+    const rangeStart = monthStarts[0];
+
+    let previousRecurring = getMonthlyRecurringByUser(payments, addMonths(rangeStart, -1));
+    const recurringByMonth = [];
+    const months = monthStarts.map(monthStart => {
+        const key = getMonthKey(monthStart);
+        const recurring = getMonthlyRecurringByUser(payments, monthStart);
+        recurringByMonth.push(recurring);
+        const churnedUsers = [...previousRecurring.keys()].filter(userId => !recurring.has(userId));
+        const monthPayments = payments.filter(payment => getMonthKey(payment.paidAt) === key);
+        const sumKind = kind => monthPayments.filter(payment => payment.kind === kind).reduce((sum, payment) => sum + payment.net, 0);
+        const refunds = payments.reduce((sum, payment) => {
+            if (payment.refunds.length === 0) {
+                return sum + (getMonthKey(payment.paidAt) === key ? payment.refunded : 0);
+            }
+            return sum + payment.refunds
+                .filter(refund => refund.created_at && getMonthKey(new Date(refund.created_at)) === key)
+                .reduce((total, refund) => total + (Number(refund.amount) || 0), 0);
+        }, 0);
+        const mrr = sumMapValues(recurring);
+        const previousMrr = sumMapValues(previousRecurring);
+        const churned = sumMapValues(previousRecurring, churnedUsers);
+        previousRecurring = recurring;
+        return {
+            month: key,
+            mrr: Math.round(mrr),
+            arr: Math.round(mrr * 12),
+            new_revenue: sumKind('new'),
+            renewal_revenue: sumKind('renewal'),
+            upgrade_revenue: sumKind('upgrade'),
+            churned_mrr: Math.round(churned),
+            churn_rate: previousMrr > 0 ? churned / previousMrr : 0,
+            refunds,
+            paying_users: recurring.size
+        };
+    });
+
+    // 期間內各方案 ARPU 與月付/年付組成
+    const rangePayments = payments.filter(payment => payment.paidAt >= rangeStart);
+    const arpuByTier = Object.keys(REVENUE_PLAN_TIERS).map(tier => {
+        const tierPayments = rangePayments.filter(payment => payment.tier === tier);
+        const users = new Set(tierPayments.map(payment => payment.userId)).size;
+        const revenue = tierPayments.reduce((sum, payment) => sum + payment.net, 0);
+        return { tier, users, revenue, arpu: users ? Math.round(revenue / users) : 0 };
+    });
+    const billingMix = Object.keys(REVENUE_BILLING_PERIODS).map(period => ({
+        period,
+        revenue: rangePayments.filter(payment => payment.period === period).reduce((sum, payment) => sum + payment.net, 0)
+    }));
+    const rangeRevenue = rangePayments.reduce((sum, payment) => sum + payment.net, 0);
+    const rangeUsers = new Set(rangePayments.map(payment => payment.userId)).size;
+
+    // 世代營收留存：依首次付款月份分組，各月 MRR 相對首月 MRR 的比例
+    const cohorts = monthStarts.map((monthStart, index) => {
+        const key = getMonthKey(monthStart);
+        const users = [...firstMonthByUser.entries()].filter(([, month]) => month === key).map(([userId]) => userId);
+        const baseMrr = sumMapValues(recurringByMonth[index], users);
+        const retention = recurringByMonth.slice(index).map(recurring => baseMrr > 0 ? sumMapValues(recurring, users) / baseMrr : null);
+        return { month: key, users: users.length, baseMrr: Math.round(baseMrr), retention };
+    }).filter(cohort => cohort.users > 0 && cohort.baseMrr > 0);
+
+    return {
+        months,
+        arpuByTier,
+        billingMix,
+        cohorts,
+        arpu: rangeUsers ? Math.round(rangeRevenue / rangeUsers) : 0
+    };
+}
+
+async function loadRevenueAnalytics() {
+    try {
+        const monthCount = parseInt(document.getElementById('revenue-filter-months')?.value, 10) || 12;
+        const { items: orders, response } = await cachedFetchAllPages(`${API_BASE_URL}/admin/orders`, 'orders', () => loadRevenueAnalytics());
+
+        revenueAnalyticsData = buildRevenueAnalytics(orders, monthCount);
+        renderDataAsOf('revenue-data-as-of', document.querySelector('#tab-revenue-analytics .stats-grid'), response);
+        renderRevenueAnalytics(revenueAnalyticsData);
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('載入營收分析失敗:', error);
+        showToast('載入營收分析失敗', 'error');
+    }
+}
+
+function renderRevenueAnalytics(analytics) {
+    const current = analytics.months[analytics.months.length - 1];
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+    setText('revenue-current-mrr', `NT$ ${current.mrr.toLocaleString()}`);
+    setText('revenue-current-arr', `NT$ ${current.arr.toLocaleString()}`);
+    setText('revenue-churn-rate', `${(current.churn_rate * 100).toFixed(1)}%`);
+    setText('revenue-arpu', `NT$ ${analytics.arpu.toLocaleString()}`);
+
+    renderRevenueCohortTable(analytics.cohorts);
+
+    // Chart.js 以 defer 載入，尚未就緒時稍後再畫
+    if (typeof Chart === 'undefined') {
+        setTimeout(() => {
+            if (revenueAnalyticsData === analytics) renderRevenueAnalytics(analytics);
+        }, 300);
+        return;
+    }
+
+    const labels = analytics.months.map(month => month.month);
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: true,
+        aspectRatio: window.innerWidth <= 768 ? 1.5 : 2
+    };
+
+    // MRR / ARR 趨勢
+    if (charts.revenueMrr) charts.revenueMrr.destroy();
+    charts.revenueMrr = new Chart(document.getElementById('revenue-mrr-chart'), {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [{
+                label: 'MRR',
+                data: analytics.months.map(month => month.mrr),
+                borderColor: '#3b82f6',
+                backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                tension: 0.4,
+                fill: true,
+                yAxisID: 'y'
+            }, {
+                label: 'ARR',
+                data: analytics.months.map(month => month.arr),
+                borderColor: '#8b5cf6',
+                borderDash: [6, 4],
+                tension: 0.4,
+                yAxisID: 'y1'
+            }]
+        },
+        options: {
+            ...chartOptions,
+            scales: {
+                y: { beginAtZero: true, position: 'left' },
+                y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false } }
+            }
+        }
+    });
+
+    // 新購 / 續訂 / 升級營收（堆疊）與流失 MRR
+    if (charts.revenueBreakdown) charts.revenueBreakdown.destroy();
+    charts.revenueBreakdown = new Chart(document.getElementById('revenue-breakdown-chart'), {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [
+                { label: '新購', data: analytics.months.map(month => month.new_revenue), backgroundColor: '#10b981', stack: 'revenue' },
+                { label: '續訂', data: analytics.months.map(month => month.renewal_revenue), backgroundColor: '#3b82f6', stack: 'revenue' },
+                { label: '升級', data: analytics.months.map(month => month.upgrade_revenue), backgroundColor: '#8b5cf6', stack: 'revenue' },
+                { label: '流失 MRR', data: analytics.months.map(month => -month.churned_mrr), backgroundColor: '#ef4444', stack: 'churn' },
+                { label: '退款', data: analytics.months.map(month => -month.refunds), backgroundColor: '#f59e0b', stack: 'churn' }
+            ]
+        },
+        options: {
+            ...chartOptions,
+            scales: { x: { stacked: true }, y: { stacked: true } }
+        }
+    });
+
+    // 各方案 ARPU
+    if (charts.revenueArpu) charts.revenueArpu.destroy();
+    charts.revenueArpu = new Chart(document.getElementById('revenue-arpu-chart'), {
+        type: 'bar',
+        data: {
+            labels: analytics.arpuByTier.map(item => `${REVENUE_PLAN_TIERS[item.tier].label}（${item.users} 人）`),
+            datasets: [{
+                label: 'ARPU',
+                data: analytics.arpuByTier.map(item => item.arpu),
+                backgroundColor: analytics.arpuByTier.map(item => REVENUE_PLAN_TIERS[item.tier].color)
+            }]
+        },
+        options: { ...chartOptions, plugins: { legend: { display: false } } }
+    });
+
+    // 月付 / 年付營收組成
+    if (charts.revenueBillingMix) charts.revenueBillingMix.destroy();
+    const hasBillingRevenue = analytics.billingMix.some(item => item.revenue > 0);
+    charts.revenueBillingMix = new Chart(document.getElementById('revenue-billing-mix-chart'), {
+        type: 'doughnut',
+        data: {
+            labels: hasBillingRevenue ? analytics.billingMix.map(item => REVENUE_BILLING_PERIODS[item.period].label) : ['暫無數據'],
+            datasets: [{
+                data: hasBillingRevenue ? analytics.billingMix.map(item => item.revenue) : [1],
+                backgroundColor: analytics.billingMix.map(item => REVENUE_BILLING_PERIODS[item.period].color)
+            }]
+        },
+        options: chartOptions
+    });
+
+    // 世代營收留存（最近幾個世代，橫軸為付款後第 N 個月）
+    if (charts.revenueCohort) charts.revenueCohort.destroy();
+    const recentCohorts = analytics.cohorts.slice(-REVENUE_COHORT_CHART_LIMIT);
+    const cohortColors = ['#3b82f6', '#10b981', '#8b5cf6', '#f59e0b', '#ec4899', '#0ea5e9'];
+    charts.revenueCohort = new Chart(document.getElementById('revenue-cohort-chart'), {
+        type: 'line',
+        data: {
+            labels: analytics.months.map((month, index) => `第 ${index} 月`),
+            datasets: recentCohorts.map((cohort, index) => ({
+                label: cohort.month,
+                data: cohort.retention.map(rate => rate === null ? null : Math.round(rate * 100)),
+                borderColor: cohortColors[index % cohortColors.length],
+                tension: 0.3
+            }))
+        },
+        options: {
+            ...chartOptions,
+            scales: { y: { beginAtZero: true, ticks: { callback: value => `${value}%` } } }
+        }
+    });
+}
+
+function renderRevenueCohortTable(cohorts) {
+    const container = document.getElementById('revenue-cohort-table');
+    if (!container) return;
+    if (cohorts.length === 0) {
+        setHTML(container, '<div style="text-align: center; padding: 2rem; color: #64748b;">期間內沒有可計算留存的付款世代</div>');
+        return;
+    }
+
+    setHTML(container, buildRetentionHeatmapTable(['首次付款月份', '付款用戶', '首月 MRR'], index => `第 ${index} 月`, cohorts.map(cohort => ({
+        cells: [cohort.month, cohort.users, `NT$${cohort.baseMrr.toLocaleString()}`],
+        rates: cohort.retention
+    }))));
+}
+
+function exportRevenueAnalytics(kind) {
+    if (!revenueAnalyticsData) {
+        showToast('請先載入營收分析', 'error');
+        return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    if (kind === 'cohorts') {
+        const rows = revenueAnalyticsData.cohorts.map(cohort => {
+            const row = { cohort_month: cohort.month, users: cohort.users, base_mrr: cohort.baseMrr };
+            cohort.retention.forEach((rate, index) => {
+                row[`month_${index}`] = rate === null ? '' : `${Math.round(rate * 100)}%`;
+            });
+            return row;
+        });
+        if (rows.length === 0) {
+            showToast('沒有可匯出的世代資料', 'error');
+            return;
+        }
+        downloadCSV(`revenue-cohorts-${date}.csv`, rows);
+        showToast(`已匯出 ${rows.length} 個世代`, 'success');
+        return;
+    }
+
+    const rows = revenueAnalyticsData.months.map(month => ({
+        ...month,
+        churn_rate: `${(month.churn_rate * 100).toFixed(1)}%`
+    }));
+    downloadCSV(`revenue-analytics-${date}.csv`, rows);
+    showToast(`已匯出 ${rows.length} 個月的營收指標`, 'success');
+}
+
+// ===== 轉換漏斗 =====
+// field：後端回傳的各里程碑時間欄位
+const FUNNEL_STEPS = [
+    { key: 'registered', field: 'registered_at', label: '註冊' },
+    { key: 'first_conversation', field: 'first_conversation_at', label: '首次對話' },
+    { key: 'first_script', field: 'first_script_at', label: '首次產出腳本' },
+    { key: 'hit_free_limit', field: 'hit_free_limit_at', label: '達到免費額度上限' },
+    { key: 'checkout', field: 'checkout_at', label: '進入結帳' },
+    { key: 'paid', field: 'paid_at', label: '完成付款' }
+];
+
+const FUNNEL_CHANNEL_LABELS = { referral: '推薦註冊', organic: '自然註冊' };
+const FUNNEL_DROPOFF_DISPLAY_LIMIT = 200;
+const FUNNEL_DEFAULT_DAYS = 30;
+
+let funnelUsers = [];
+let funnelDropoff = null;
+
+// 完成後面任一步驟也視為已通過此步（例如未達免費上限就直接付款）
+function getFunnelReachedStep(user) {
+    for (let i = FUNNEL_STEPS.length - 1; i >= 0; i--) {
+        if (user[FUNNEL_STEPS[i].field]) return i;
+    }
+    return 0;
+}
+
+function getFunnelGroup(user, breakdown) {
+    if (breakdown === 'channel') return user.channel || (user.referrer_id || user.referred_by ? 'referral' : 'organic');
+    return user.plan || 'free';
+}
+
+function getFunnelGroupLabel(value, breakdown) {
+    if (breakdown === 'channel') return FUNNEL_CHANNEL_LABELS[value] || value;
+    return getPlanLabel(value);
+}
+
+function getMedian(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} 分鐘`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} 小時`;
+    return `${Math.round(hours / 24)} 天`;
+}
+
+function buildFunnelSteps(users) {
+    const reached = users.map(getFunnelReachedStep);
+    return FUNNEL_STEPS.map((step, index) => {
+        const count = reached.filter(stepIndex => stepIndex >= index).length;
+        const previousCount = index === 0 ? count : reached.filter(stepIndex => stepIndex >= index - 1).length;
+        const durations = index === 0 ? [] : users
+            .filter(user => user[step.field] && user[FUNNEL_STEPS[index - 1].field])
+            .map(user => new Date(user[step.field]) - new Date(user[FUNNEL_STEPS[index - 1].field]))
+            .filter(ms => ms >= 0);
+        return {
+            ...step,
+            index,
+            count,
+            dropped: previousCount - count,
+            stepRate: previousCount ? count / previousCount : 0,
+            overallRate: users.length ? count / users.length : 0,
+            medianMs: getMedian(durations)
+        };
+    });
+}
+
+function getFunnelQueryParams() {
+    const params = new URLSearchParams();
+    const from = document.getElementById('funnel-filter-date-from')?.value;
+    const to = document.getElementById('funnel-filter-date-to')?.value;
+    if (from || to) {
+        if (from) params.set('registered_from', from);
+        if (to) params.set('registered_to', to);
+    } else {
+        const since = new Date(Date.now() - FUNNEL_DEFAULT_DAYS * 86400000);
+        params.set('registered_from', since.toISOString().slice(0, 10));
+    }
+    return params;
+}
+
+async function loadConversionFunnel() {
+    const stepsContainer = document.getElementById('funnel-steps-table');
+    if (!stepsContainer) return;
+    setHTML(stepsContainer, '<div style="text-align: center; padding: 2rem; color: #64748b;">載入中...</div>');
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/conversion-funnel?${getFunnelQueryParams()}`);
+        const data = await response.json();
+        funnelUsers = data.users || [];
+        funnelDropoff = null;
+        document.getElementById('funnel-dropoff-panel').style.display = 'none';
+        renderConversionFunnel();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('載入轉換漏斗失敗:', error);
+        setHTML(stepsContainer, '<div style="text-align: center; padding: 2rem; color: #ef4444;">載入轉換漏斗失敗</div>');
+    }
+}
+
+function renderConversionFunnel() {
+    const steps = buildFunnelSteps(funnelUsers);
+
+    setHTML(document.getElementById('funnel-steps-table'), `
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>步驟</th>
+                        <th>用戶數</th>
+                        <th>步驟轉換率</th>
+                        <th>整體轉換率</th>
+                        <th>中位時間</th>
+                        <th>流失</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${steps.map(step => `
+                        <tr>
+                            <td>${step.label}</td>
+                            <td>${step.count.toLocaleString()}</td>
+                            <td>${step.index === 0 ? '-' : `${(step.stepRate * 100).toFixed(1)}%`}</td>
+                            <td>${(step.overallRate * 100).toFixed(1)}%</td>
+                            <td>${step.index === 0 ? '-' : formatDuration(step.medianMs)}</td>
+                            <td>${step.dropped > 0 ? `<button class="btn-action btn-view" onclick="showFunnelDropoffs(${step.index})" type="button">${step.dropped.toLocaleString()} 人</button>` : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+
+    renderConversionFunnelBreakdown();
+
+    if (typeof Chart === 'undefined') return;
+    if (charts.funnel) charts.funnel.destroy();
+    charts.funnel = new Chart(document.getElementById('funnel-chart'), {
+        type: 'bar',
+        data: {
+            labels: steps.map(step => step.label),
+            datasets: [{
+                label: '用戶數',
+                data: steps.map(step => step.count),
+                backgroundColor: ['#3b82f6', '#0ea5e9', '#8b5cf6', '#f59e0b', '#ec4899', '#10b981']
+            }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: window.innerWidth <= 768 ? 1.5 : 2,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        afterLabel: context => `整體轉換率 ${(steps[context.dataIndex].overallRate * 100).toFixed(1)}%`
+                    }
+                }
+            }
+        }
+    });
+}
+
+// 依方案或註冊來源分組，各欄為到達該步驟的人數與整體轉換率
+function renderConversionFunnelBreakdown() {
+    const container = document.getElementById('funnel-breakdown-table');
+    if (!container) return;
+    const breakdown = document.getElementById('funnel-breakdown')?.value || 'plan';
+
+    const groups = new Map();
+    funnelUsers.forEach(user => {
+        const group = getFunnelGroup(user, breakdown);
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(user);
+    });
+
+    if (groups.size === 0) {
+        setHTML(container, '<div style="text-align: center; padding: 2rem; color: #64748b;">期間內沒有註冊用戶</div>');
+        return;
+    }
+
+    const rows = [...groups.entries()]
+        .map(([group, users]) => ({ group, steps: buildFunnelSteps(users) }))
+        .sort((a, b) => b.steps[0].count - a.steps[0].count);
+    setHTML(container, `
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>${breakdown === 'channel' ? '註冊來源' : '方案'}</th>
+                        ${FUNNEL_STEPS.map(step => `<th>${step.label}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(getFunnelGroupLabel(row.group, breakdown))}</td>
+                            ${row.steps.map(step => `<td>${step.count.toLocaleString()}${step.index > 0 ? ` <span style="color: #64748b; font-size: 0.8rem;">(${(step.overallRate * 100).toFixed(1)}%)</span>` : ''}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+}
+
+// 列出完成上一步、但未到達此步驟的用戶
+function showFunnelDropoffs(stepIndex) {
+    const step = FUNNEL_STEPS[stepIndex];
+    const previous = FUNNEL_STEPS[stepIndex - 1];
+    if (!step || !previous) return;
+
+    const users = funnelUsers.filter(user => getFunnelReachedStep(user) === stepIndex - 1);
+    funnelDropoff = { stepIndex, users };
+
+    const panel = document.getElementById('funnel-dropoff-panel');
+    panel.style.display = '';
+    document.getElementById('funnel-dropoff-title').textContent = `完成「${previous.label}」但未「${step.label}」（${users.length} 人）`;
+
+    const shown = users.slice(0, FUNNEL_DROPOFF_DISPLAY_LIMIT);
+    setHTML(document.getElementById('funnel-dropoff-list'), `
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>用戶</th>
+                        <th>方案</th>
+                        <th>註冊來源</th>
+                        <th>註冊時間</th>
+                        <th>${previous.label}時間</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${shown.map(user => `
+                        <tr>
+                            <td>
+                                <div>${escapeHtml(user.name || '-')}</div>
+                                <div style="font-size: 0.85rem; color: #64748b;">${escapeHtml(user.email || user.user_id || '')}</div>
+                            </td>
+                            <td>${escapeHtml(getFunnelGroupLabel(getFunnelGroup(user, 'plan'), 'plan'))}</td>
+                            <td>${escapeHtml(getFunnelGroupLabel(getFunnelGroup(user, 'channel'), 'channel'))}</td>
+                            <td>${formatDateTime(user.registered_at)}</td>
+                            <td>${formatDateTime(user[previous.field])}</td>
+                            <td><button class="btn-action btn-view" data-user-id="${escapeAttr(user.user_id)}" onclick="viewUser(this.dataset.userId)" type="button">查看</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ${users.length > shown.length ? `<p style="color: #64748b; font-size: 0.85rem; text-align: center;">僅顯示前 ${shown.length} 人，完整名單請匯出</p>` : ''}
+    `);
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function exportFunnelDropoffs() {
+    if (!funnelDropoff || funnelDropoff.users.length === 0) {
+        showToast('沒有可匯出的用戶', 'error');
+        return;
+    }
+
+    const step = FUNNEL_STEPS[funnelDropoff.stepIndex];
+    const rows = funnelDropoff.users.map(user => {
+        const row = {
+            user_id: user.user_id || '',
+            name: user.name || '',
+            email: user.email || '',
+            plan: getFunnelGroup(user, 'plan'),
+            channel: getFunnelGroup(user, 'channel')
+        };
+        FUNNEL_STEPS.forEach(item => {
+            row[item.field] = user[item.field] || '';
+        });
+        return row;
+    });
+    downloadCSV(`funnel-dropoff-${step.key}-${new Date().toISOString().slice(0, 10)}.csv`, rows);
+    showToast(`已匯出 ${rows.length} 位用戶`, 'success');
+}
+
+// ===== 訂閱到期與續約預測 =====
+const RENEWAL_AT_RISK_USAGE = 3;        // 最近 14 天使用次數低於此值視為高風險
+const RENEWAL_AT_RISK_INACTIVE_DAYS = 14;
+const RENEWAL_EXTEND_DAYS = { monthly: 30, yearly: 365, two_year: 730 };
+
+let subscriptionRenewals = [];
+
+function getDaysUntil(dateString) {
+    return Math.ceil((new Date(dateString) - Date.now()) / 86400000);
+}
+
+function isRenewalAtRisk(subscription) {
+    const inactiveDays = subscription.last_active_at ? -getDaysUntil(subscription.last_active_at) : Infinity;
+    return (subscription.recent_usage_count || 0) < RENEWAL_AT_RISK_USAGE || inactiveDays > RENEWAL_AT_RISK_INACTIVE_DAYS;
+}
+
+function getRenewalAmount(subscription) {
+    return Number(subscription.renewal_amount ?? subscription.last_order_amount) || 0;
+}
+
+async function loadSubscriptionRenewals() {
+    const container = document.getElementById('renewals-table');
+    if (!container) return;
+
+    try {
+        const days = document.getElementById('renewal-filter-days')?.value || '30';
+        const response = await adminFetch(`${API_BASE_URL}/admin/subscriptions/expiring?days=${days}`);
+        const data = await response.json();
+        subscriptionRenewals = (data.subscriptions || [])
+            .filter(subscription => subscription.expires_at && subscription.tier !== 'lifetime')
+            .map(subscription => ({ ...subscription, atRisk: isRenewalAtRisk(subscription) }))
+            .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+        renderSubscriptionRenewals();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('載入即將到期訂閱失敗:', error);
+        showToast('載入即將到期訂閱失敗', 'error');
     }
 }
 
-// 管理員刪除訂單
-async function adminDeleteOrder(orderId) {
-    // 確保 orderId 是有效的字符串
-    if (!orderId) {
-        showToast('訂單 ID 無效', 'error');
-        console.error('adminDeleteOrder: orderId 為空或無效', orderId);
+function getFilteredSubscriptionRenewals() {
+    const plan = document.getElementById('renewal-filter-plan')?.value || '';
+    const risk = document.getElementById('renewal-filter-risk')?.value || '';
+    return subscriptionRenewals.filter(subscription =>
+        (!plan || (subscription.product_tier || 'vip') === plan) &&
+        (!risk || subscription.atRisk)
+    );
+}
+
+function renderSubscriptionRenewals() {
+    const container = document.getElementById('renewals-table');
+    if (!container) return;
+    const list = getFilteredSubscriptionRenewals();
+    const atRisk = list.filter(subscription => subscription.atRisk);
+    const sumAmount = items => items.reduce((sum, subscription) => sum + getRenewalAmount(subscription), 0);
+
+    document.getElementById('renewal-expiring-count').textContent = list.length;
+    document.getElementById('renewal-projected-revenue').textContent = `NT$ ${sumAmount(list).toLocaleString()}`;
+    document.getElementById('renewal-at-risk-count').textContent = atRisk.length;
+    document.getElementById('renewal-at-risk-revenue').textContent = `NT$ ${sumAmount(atRisk).toLocaleString()}`;
+
+    if (list.length === 0) {
+        setHTML(container, '<div style="text-align: center; padding: 2rem;">沒有符合條件的即將到期訂閱</div>');
         return;
     }
-    
-    // 轉換為字符串（處理可能的數字或其他類型）
-    orderId = String(orderId);
-    
-    // 清理訂單 ID（移除可能的額外字符，如 :1）
-    const cleanOrderId = orderId.trim().split(':')[0]; // 移除冒號後的所有內容
-    
-    if (!confirm(`確定要刪除訂單 ${cleanOrderId} 嗎？此操作無法復原。\n\n注意：管理員可以刪除任何狀態的訂單（包括已付款的訂單）。`)) {
+
+    const planLabel = subscription => getPlanLabel(subscription.product_tier || 'vip');
+    const periodLabel = subscription => REVENUE_BILLING_PERIODS[subscription.tier]?.label || subscription.tier || '-';
+    const riskBadge = subscription => subscription.atRisk
+        ? '<span class="badge badge-danger">高風險</span>'
+        : '<span class="badge badge-success">活躍</span>';
+    const extendButton = subscription => `<button class="btn-action btn-success" data-permission="subscription.manage" data-user-id="${escapeAttr(subscription.user_id)}" onclick="extendExpiringSubscription(this.dataset.userId)" type="button">續期 ${RENEWAL_EXTEND_DAYS[subscription.tier] || 30} 天</button>`;
+
+    if (window.innerWidth <= 768) {
+        setHTML(container, `
+            <div class="mobile-cards-container">
+                ${list.map(subscription => `
+                    <div class="mobile-card">
+                        <div class="mobile-card-header">
+                            <span class="mobile-card-title">${escapeHtml(subscription.name || subscription.email || subscription.user_id)}</span>
+                            ${riskBadge(subscription)}
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">Email</span>
+                            <span class="mobile-card-value">${escapeHtml(subscription.email || '-')}</span>
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">方案</span>
+                            <span class="mobile-card-value">${escapeHtml(planLabel(subscription))}・${escapeHtml(periodLabel(subscription))}</span>
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">到期</span>
+                            <span class="mobile-card-value">${formatDate(subscription.expires_at)}（${getDaysUntil(subscription.expires_at)} 天）</span>
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">近 14 天使用</span>
+                            <span class="mobile-card-value">${subscription.recent_usage_count || 0} 次</span>
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">續約金額</span>
+                            <span class="mobile-card-value">NT$${getRenewalAmount(subscription).toLocaleString()}</span>
+                        </div>
+                        <div class="mobile-card-actions">
+                            <button class="btn-action btn-view" data-user-id="${escapeAttr(subscription.user_id)}" onclick="viewUser(this.dataset.userId)" type="button">查看</button>
+                            ${extendButton(subscription)}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `);
         return;
     }
-    
-    try {
-        // 使用 encodeURIComponent 確保 URL 安全
-        const encodedOrderId = encodeURIComponent(cleanOrderId);
-        const response = await adminFetch(`${API_BASE_URL}/admin/orders/${encodedOrderId}`, {
-            method: 'DELETE'
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            showToast('訂單已刪除', 'success');
-            loadOrders(); // 重新載入訂單列表
-        } else {
-            const errorData = await response.json().catch(() => ({ error: '刪除失敗' }));
-            showToast(errorData.error || '刪除失敗', 'error');
-            console.error('刪除訂單失敗:', response.status, errorData);
-        }
-    } catch (error) {
-        console.error('刪除訂單失敗:', error);
-        showToast('刪除訂單失敗: ' + error.message, 'error');
+
+    setHTML(container, `
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>用戶</th>
+                        <th>方案</th>
+                        <th>到期日期</th>
+                        <th>剩餘天數</th>
+                        <th>近 14 天使用</th>
+                        <th>最後活躍</th>
+                        <th>續約金額</th>
+                        <th>風險</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${list.map(subscription => `
+                        <tr>
+                            <td>
+                                <div>${escapeHtml(subscription.name || '-')}</div>
+                                <div style="font-size: 0.85rem; color: #64748b;">${escapeHtml(subscription.email || '')}</div>
+                            </td>
+                            <td>${escapeHtml(planLabel(subscription))}・${escapeHtml(periodLabel(subscription))}</td>
+                            <td>${formatDate(subscription.expires_at)}</td>
+                            <td>${getDaysUntil(subscription.expires_at)} 天</td>
+                            <td>${subscription.recent_usage_count || 0} 次</td>
+                            <td>${subscription.last_active_at ? calculateTimeAgo(subscription.last_active_at) : '-'}</td>
+                            <td>NT$${getRenewalAmount(subscription).toLocaleString()}</td>
+                            <td>${riskBadge(subscription)}</td>
+                            <td>
+                                <button class="btn-action btn-view" data-user-id="${escapeAttr(subscription.user_id)}" onclick="viewUser(this.dataset.userId)" type="button">查看</button>
+                                ${extendButton(subscription)}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+}
+
+// 以原方案續期一個付款週期；訂閱天數從今天起算，因此加上目前剩餘天數
+async function extendExpiringSubscription(userId) {
+    if (!requirePermission('subscription.manage')) return;
+    const subscription = subscriptionRenewals.find(item => String(item.user_id) === String(userId));
+    if (!subscription) return;
+
+    const extendDays = RENEWAL_EXTEND_DAYS[subscription.tier] || 30;
+    const remainingDays = Math.max(0, getDaysUntil(subscription.expires_at));
+    const note = prompt(`為 ${subscription.email || userId} 續期 ${extendDays} 天（到期日順延），請輸入備註：`, '到期前續期');
+    if (note === null) return;
+
+    await executeSubscriptionToggle(userId, true, remainingDays + extendDays, note.trim(), subscription.product_tier || 'vip', subscription.tier);
+    loadSubscriptionRenewals();
+}
+
+function exportSubscriptionRenewals() {
+    const list = getFilteredSubscriptionRenewals();
+    if (list.length === 0) {
+        showToast('沒有可匯出的訂閱', 'error');
+        return;
     }
+
+    const rows = list.map(subscription => ({
+        user_id: subscription.user_id || '',
+        name: subscription.name || '',
+        email: subscription.email || '',
+        product_tier: subscription.product_tier || 'vip',
+        tier: subscription.tier || '',
+        expires_at: subscription.expires_at || '',
+        days_left: getDaysUntil(subscription.expires_at),
+        recent_usage_count: subscription.recent_usage_count || 0,
+        last_active_at: subscription.last_active_at || '',
+        renewal_amount: getRenewalAmount(subscription),
+        at_risk: subscription.atRisk ? 'yes' : 'no'
+    }));
+    downloadCSV(`expiring-subscriptions-${new Date().toISOString().slice(0, 10)}.csv`, rows);
+    showToast(`已匯出 ${rows.length} 筆即將到期訂閱`, 'success');
 }
 
 // ===== 授權記錄管理 =====
@@ -5903,6 +10797,7 @@ async function loadLicenseActivations() {
         const response = await adminFetch(url);
         const data = await response.json();
         const activations = data.activations || [];
+        rememberAuditSnapshots('license_activation', activations, activation => activation.id);
         
         console.log('授權記錄數據:', activations);
         
@@ -5971,7 +10866,8 @@ async function loadLicenseActivations() {
                     const statusBadge = {
                         'pending': '<span class="badge badge-warning">待啟用</span>',
                         'activated': '<span class="badge badge-success">已啟用</span>',
-                        'expired': '<span class="badge badge-danger">已過期</span>'
+                        'expired': '<span class="badge badge-danger">已過期</span>',
+                        'revoked': '<span class="badge badge-danger">已撤銷</span>'
                     }[activation.status] || '<span class="badge">未知</span>';
                     
                     return `
@@ -6021,7 +10917,7 @@ async function loadLicenseActivations() {
                             <span class="mobile-card-value">${formatDate(activation.created_at)}</span>
                         </div>
                         <div class="mobile-card-actions">
-                            <button class="btn-action btn-danger" onclick="deleteLicenseActivation(${activation.id})" type="button">刪除</button>
+                            <button class="btn-action btn-danger" data-permission="licenses.delete" onclick="deleteLicenseActivation(${activation.id})" type="button">刪除</button>
                         </div>
                     </div>
                 `;
@@ -6060,7 +10956,8 @@ async function loadLicenseActivations() {
             const statusBadge = {
                 'pending': '<span class="badge badge-warning">待啟用</span>',
                 'activated': '<span class="badge badge-success">已啟用</span>',
-                'expired': '<span class="badge badge-danger">已過期</span>'
+                'expired': '<span class="badge badge-danger">已過期</span>',
+                'revoked': '<span class="badge badge-danger">已撤銷</span>'
             }[activation.status] || '<span class="badge">未知</span>';
             
             const formatDate = (dateStr) => {
@@ -6094,7 +10991,7 @@ async function loadLicenseActivations() {
                     <td>${formatDate(activation.activated_at)}</td>
                     <td>${formatDate(activation.created_at)}</td>
                     <td>
-                        <button class="btn-action btn-danger" onclick="deleteLicenseActivation(${activation.id})" type="button">
+                        <button class="btn-action btn-danger" data-permission="licenses.delete" onclick="deleteLicenseActivation(${activation.id})" type="button">
                             🗑️ 刪除
                         </button>
                     </td>
@@ -6111,34 +11008,721 @@ async function loadLicenseActivations() {
         setHTML(tableContainer, tableHTML);
         }
     } catch (error) {
+        if (isHandledRequestError(error)) return;
         console.error('載入授權記錄失敗:', error);
         showToast('載入授權記錄失敗', 'error');
     }
 }
 
 async function deleteLicenseActivation(activationId) {
-    if (!confirm('確定要刪除這筆授權記錄嗎？此操作無法復原。')) {
+    if (!requirePermission('licenses.delete')) return;
+    const activation = getAuditSnapshot('license_activation', activationId);
+    await submitApprovalRequest('license_activation.delete', activationId, {
+        summary: `刪除授權記錄 ${activationId}${activation ? `（${activation.email || activation.user_id || '-'}）` : ''}`,
+        before: activation
+    });
+}
+
+// ===== 授權異常檢測 =====
+const LICENSE_HEAVY_USER_MIN = 3;          // 同一帳號啟用次數達此值視為異常
+const LICENSE_LATE_ACTIVATION_DAYS = 7;    // 連結到期後超過此天數才啟用視為異常
+
+const LICENSE_ANOMALY_TYPES = {
+    shared_key: { label: '同一序號多帳號啟用', badge: 'badge-danger' },
+    heavy_user: { label: '單一帳號大量啟用', badge: 'badge-warning' },
+    late_activation: { label: '逾期啟用', badge: 'badge-warning' }
+};
+
+let licenseAnomalies = [];
+
+function getActivationAccountKey(activation) {
+    return String(activation.user_id || (activation.email || '').toLowerCase());
+}
+
+function groupActivations(activations, getKey) {
+    const groups = new Map();
+    activations.forEach(activation => {
+        const key = getKey(activation);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(activation);
+    });
+    return groups;
+}
+
+// suspects：可一鍵撤銷的啟用記錄；為空時由管理員逐筆挑選
+function buildLicenseAnomalies(activations) {
+    const activated = activations
+        .filter(activation => activation.activated_at && activation.status !== 'revoked')
+        .sort((a, b) => new Date(a.activated_at) - new Date(b.activated_at));
+    const anomalies = [];
+
+    groupActivations(activated, activation => activation.activation_token).forEach((items, token) => {
+        const accounts = new Set(items.map(getActivationAccountKey));
+        if (accounts.size < 2) return;
+        // 最早啟用的帳號視為序號持有人，只撤銷其他帳號的啟用
+        const ownerAccount = getActivationAccountKey(items[0]);
+        anomalies.push({
+            type: 'shared_key',
+            key: `shared_key:${token}`,
+            token,
+            activations: items,
+            suspects: items.filter(activation => getActivationAccountKey(activation) !== ownerAccount),
+            detail: `${accounts.size} 個帳號啟用同一序號`
+        });
+    });
+
+    groupActivations(activated, getActivationAccountKey).forEach((items, account) => {
+        if (items.length < LICENSE_HEAVY_USER_MIN) return;
+        anomalies.push({
+            type: 'heavy_user',
+            key: `heavy_user:${account}`,
+            token: null,
+            activations: items,
+            // 同一人可能合法購買多組序號，不提供整批撤銷
+            suspects: [],
+            detail: `啟用 ${items.length} 次（${[...new Set(items.map(activation => activation.channel || '-'))].join('、')}）`
+        });
+    });
+
+    activated.forEach(activation => {
+        if (!activation.link_expires_at) return;
+        const lateDays = Math.floor((new Date(activation.activated_at) - new Date(activation.link_expires_at)) / 86400000);
+        if (lateDays < LICENSE_LATE_ACTIVATION_DAYS) return;
+        anomalies.push({
+            type: 'late_activation',
+            key: `late_activation:${activation.id}`,
+            token: activation.activation_token,
+            activations: [activation],
+            suspects: [activation],
+            detail: `連結到期 ${lateDays} 天後才啟用`
+        });
+    });
+
+    return anomalies.sort((a, b) =>
+        new Date(b.activations[b.activations.length - 1].activated_at) - new Date(a.activations[a.activations.length - 1].activated_at));
+}
+
+async function loadLicenseAnomalies() {
+    const container = document.getElementById('license-anomaly-list');
+    if (!container) return;
+
+    try {
+        const { items: activations } = await cachedFetchAllPages(`${API_BASE_URL}/admin/license-activations`, 'activations', null, false);
+        licenseAnomalies = buildLicenseAnomalies(activations);
+        const scannedEl = document.getElementById('license-anomaly-scanned');
+        if (scannedEl) scannedEl.textContent = `已檢查 ${activations.length.toLocaleString()} 筆授權記錄`;
+        renderLicenseAnomalies();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('載入授權異常失敗:', error);
+        setHTML(container, '<div style="text-align: center; padding: 1rem; color: #ef4444;">載入授權異常失敗</div>');
+    }
+}
+
+function renderLicenseAnomalies() {
+    const container = document.getElementById('license-anomaly-list');
+    if (!container) return;
+    const filter = document.getElementById('license-anomaly-filter')?.value || '';
+    const list = filter ? licenseAnomalies.filter(anomaly => anomaly.type === filter) : licenseAnomalies;
+
+    const countEl = document.getElementById('license-anomaly-count');
+    if (countEl) countEl.textContent = licenseAnomalies.length ? `（${licenseAnomalies.length}）` : '';
+
+    if (list.length === 0) {
+        setHTML(container, '<div style="text-align: center; padding: 1rem; color: #64748b;">目前沒有異常的授權啟用</div>');
         return;
     }
-    
+
+    // 依帳號去重後列出相關用戶，有 user_id 時可直接開啟用戶詳情
+    const userLinks = anomaly => {
+        const accounts = new Map();
+        anomaly.activations.forEach(activation => accounts.set(getActivationAccountKey(activation), activation));
+        return [...accounts.values()].map(activation => activation.user_id
+            ? `<a href="#" data-user-id="${escapeAttr(activation.user_id)}" onclick="viewUser(this.dataset.userId); return false;">${escapeHtml(activation.email || activation.user_id)}</a>`
+            : escapeHtml(activation.email || '-')
+        ).join('<br>');
+    };
+    // 沒有可整批撤銷的對象時（單一帳號大量啟用），列出每筆啟用讓管理員挑選
+    const actions = anomaly => anomaly.suspects.length
+        ? `<button class="btn-action btn-danger" data-anomaly-key="${escapeAttr(anomaly.key)}" data-permission="licenses.delete" onclick="revokeLicenseAnomaly(this.dataset.anomalyKey)" type="button">撤銷 ${anomaly.suspects.length} 筆</button>`
+        : anomaly.activations.map(activation => `
+            <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">
+                <span style="font-size: 0.8rem; color: #64748b;">${escapeHtml(activation.channel || '-')}・${formatDate(activation.activated_at)}</span>
+                <button class="btn-action btn-danger" data-anomaly-key="${escapeAttr(anomaly.key)}" data-activation-id="${escapeAttr(activation.id)}" data-permission="licenses.delete" onclick="revokeLicenseAnomaly(this.dataset.anomalyKey, this.dataset.activationId)" type="button">撤銷</button>
+            </div>
+        `).join('');
+
+    setHTML(container, `
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>類型</th>
+                        <th>序號</th>
+                        <th>相關用戶</th>
+                        <th>說明</th>
+                        <th>最近啟用</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${list.map(anomaly => `
+                        <tr>
+                            <td><span class="badge ${LICENSE_ANOMALY_TYPES[anomaly.type].badge}">${LICENSE_ANOMALY_TYPES[anomaly.type].label}</span></td>
+                            <td><code style="font-size: 0.85em;">${escapeHtml(anomaly.token || anomaly.activations.map(activation => activation.activation_token).join('\n') || '-').replace(/\n/g, '<br>')}</code></td>
+                            <td>${userLinks(anomaly)}</td>
+                            <td>${escapeHtml(anomaly.detail)}</td>
+                            <td>${formatDateTime(anomaly.activations[anomaly.activations.length - 1].activated_at)}</td>
+                            <td>${actions(anomaly)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+}
+
+// 撤銷異常中的可疑啟用，指定 activationId 時只撤銷該筆；後端同時收回對應授權
+async function revokeLicenseAnomaly(anomalyKey, activationId = null) {
+    if (!requirePermission('licenses.delete')) return;
+    const anomaly = licenseAnomalies.find(item => item.key === anomalyKey);
+    if (!anomaly) return;
+    const targets = activationId === null
+        ? anomaly.suspects
+        : anomaly.activations.filter(activation => String(activation.id) === String(activationId));
+    if (!targets.length) return;
+
+    const emails = targets.map(activation => activation.email || activation.user_id || `#${activation.id}`).join('、');
+    const note = prompt(`將撤銷 ${targets.length} 筆啟用並收回授權（${emails}）。請輸入原因：`);
+    if (note === null) return;
+    if (!note.trim()) {
+        showToast('請輸入撤銷原因', 'error');
+        return;
+    }
+
+    let revoked = 0;
+    try {
+        for (const activation of targets) {
+            const response = await adminFetch(`${API_BASE_URL}/admin/license-activations/${activation.id}/revoke`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ note: note.trim(), reason: anomaly.type })
+            });
+            if (response.ok) revoked++;
+        }
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('撤銷授權失敗:', error);
+    }
+
+    if (revoked === targets.length) {
+        showToast(`已撤銷 ${revoked} 筆啟用`, 'success');
+    } else {
+        showToast(`已撤銷 ${revoked} 筆，${targets.length - revoked} 筆失敗`, 'error');
+    }
+    if (revoked > 0) {
+        loadLicenseAnomalies();
+        loadLicenseActivations();
+    }
+}
+
+// ===== 授權序號批次 =====
+// 線下通路（實體卡、經銷商、活動）用的授權序號，以批次產生並追蹤兌換情況
+const LICENSE_BATCH_CHANNELS = {
+    offline: '實體通路',
+    reseller: '經銷商',
+    event: '活動贈送',
+    portaly: 'Portaly',
+    ppa: 'PPA'
+};
+const LICENSE_BATCH_MAX_QUANTITY = 1000;
+const LICENSE_KEY_STATUS_LABELS = {
+    unused: '未使用',
+    redeemed: '已兌換',
+    revoked: '已撤銷'
+};
+
+let licenseBatches = [];
+
+function getLicenseBatchUnusedCount(batch) {
+    return Math.max(0, (batch.quantity || 0) - (batch.redeemed_count || 0) - (batch.revoked_count || 0));
+}
+
+function getLicenseBatchRedeemRate(batch) {
+    return batch.quantity ? Math.round((batch.redeemed_count || 0) / batch.quantity * 100) : 0;
+}
+
+function getLicenseBatchLabel(batch) {
+    return `${batch.name || `批次 #${batch.id}`}（${getPlanLabel(batch.product_tier)}・${REVENUE_BILLING_PERIODS[batch.tier]?.label || batch.tier}）`;
+}
+
+async function loadLicenseBatches() {
+    const container = document.getElementById('license-batches-table');
+    if (!container) return;
+
+    try {
+        const channel = document.getElementById('license-batch-filter-channel')?.value || '';
+        const response = await adminFetch(`${API_BASE_URL}/admin/license-batches${channel ? `?channel=${channel}` : ''}`);
+        const data = await response.json();
+        licenseBatches = data.batches || [];
+        renderLicenseBatches();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('載入序號批次失敗:', error);
+        showToast('載入序號批次失敗', 'error');
+    }
+}
+
+function renderLicenseBatches() {
+    const container = document.getElementById('license-batches-table');
+    if (!container) return;
+    const total = licenseBatches.reduce((sum, batch) => sum + (batch.quantity || 0), 0);
+    const redeemed = licenseBatches.reduce((sum, batch) => sum + (batch.redeemed_count || 0), 0);
+
+    document.getElementById('license-batch-count').textContent = licenseBatches.length;
+    document.getElementById('license-batch-issued').textContent = total.toLocaleString();
+    document.getElementById('license-batch-redeemed').textContent = redeemed.toLocaleString();
+    document.getElementById('license-batch-redeem-rate').textContent = total ? `${Math.round(redeemed / total * 100)}%` : '-';
+
+    if (licenseBatches.length === 0) {
+        setHTML(container, '<div style="text-align: center; padding: 2rem;">尚未產生任何序號批次</div>');
+        return;
+    }
+
+    const channelLabel = batch => LICENSE_BATCH_CHANNELS[batch.channel] || batch.channel || '-';
+    const redeemProgress = batch => `
+        <div style="display: flex; align-items: center; gap: 8px;">
+            <div style="flex: 1; min-width: 60px; height: 8px; background: #e5e7eb; border-radius: 4px; overflow: hidden;">
+                <div style="width: ${getLicenseBatchRedeemRate(batch)}%; height: 100%; background: #10b981;"></div>
+            </div>
+            <span style="font-size: 0.85rem;">${batch.redeemed_count || 0}/${batch.quantity || 0}</span>
+        </div>
+    `;
+    const actions = batch => `
+        <button class="btn-action btn-view" data-batch-id="${escapeAttr(batch.id)}" data-permission="licenses.issue" onclick="downloadLicenseBatchKeys(this.dataset.batchId)" type="button">下載 CSV</button>
+        ${getLicenseBatchUnusedCount(batch) > 0 ? `<button class="btn-action btn-danger" data-batch-id="${escapeAttr(batch.id)}" data-permission="licenses.issue" onclick="revokeUnusedLicenseKeys(this.dataset.batchId)" type="button">撤銷未使用</button>` : ''}
+    `;
+
+    if (window.innerWidth <= 768) {
+        setHTML(container, `
+            <div class="mobile-cards-container">
+                ${licenseBatches.map(batch => `
+                    <div class="mobile-card">
+                        <div class="mobile-card-header">
+                            <span class="mobile-card-title">${escapeHtml(batch.name || `批次 #${batch.id}`)}</span>
+                            <span class="badge">${escapeHtml(channelLabel(batch))}</span>
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">方案</span>
+                            <span class="mobile-card-value">${escapeHtml(getPlanLabel(batch.product_tier))}・${escapeHtml(REVENUE_BILLING_PERIODS[batch.tier]?.label || batch.tier || '-')}</span>
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">兌換</span>
+                            <span class="mobile-card-value">${redeemProgress(batch)}</span>
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">未使用 / 已撤銷</span>
+                            <span class="mobile-card-value">${getLicenseBatchUnusedCount(batch)} / ${batch.revoked_count || 0}</span>
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">兌換期限</span>
+                            <span class="mobile-card-value">${batch.redeem_expires_at ? formatDate(batch.redeem_expires_at) : '不限'}</span>
+                        </div>
+                        <div class="mobile-card-row">
+                            <span class="mobile-card-label">建立</span>
+                            <span class="mobile-card-value">${formatDateTime(batch.created_at)}${batch.created_by ? `・${escapeHtml(batch.created_by)}` : ''}</span>
+                        </div>
+                        <div class="mobile-card-actions">${actions(batch)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `);
+        return;
+    }
+
+    setHTML(container, `
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>批次</th>
+                        <th>方案</th>
+                        <th>通路</th>
+                        <th>兌換進度</th>
+                        <th>未使用</th>
+                        <th>已撤銷</th>
+                        <th>兌換期限</th>
+                        <th>建立時間</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${licenseBatches.map(batch => `
+                        <tr>
+                            <td>
+                                <div>${escapeHtml(batch.name || `批次 #${batch.id}`)}</div>
+                                ${batch.note ? `<div style="font-size: 0.85rem; color: #64748b;">${escapeHtml(batch.note)}</div>` : ''}
+                            </td>
+                            <td>${escapeHtml(getPlanLabel(batch.product_tier))}・${escapeHtml(REVENUE_BILLING_PERIODS[batch.tier]?.label || batch.tier || '-')}</td>
+                            <td>${escapeHtml(channelLabel(batch))}</td>
+                            <td>${redeemProgress(batch)}</td>
+                            <td>${getLicenseBatchUnusedCount(batch)}</td>
+                            <td>${batch.revoked_count || 0}</td>
+                            <td>${batch.redeem_expires_at ? formatDate(batch.redeem_expires_at) : '不限'}</td>
+                            <td>
+                                <div>${formatDateTime(batch.created_at)}</div>
+                                ${batch.created_by ? `<div style="font-size: 0.85rem; color: #64748b;">${escapeHtml(batch.created_by)}</div>` : ''}
+                            </td>
+                            <td>${actions(batch)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+}
+
+function showLicenseBatchModal() {
+    if (!requirePermission('licenses.issue')) return;
+    document.getElementById('license-batch-name').value = '';
+    document.getElementById('license-batch-plan').value = 'pro';
+    document.getElementById('license-batch-period').value = 'yearly';
+    document.getElementById('license-batch-channel').value = 'offline';
+    document.getElementById('license-batch-quantity').value = '50';
+    document.getElementById('license-batch-expires').value = '';
+    document.getElementById('license-batch-note').value = '';
+    document.getElementById('license-batch-modal').classList.add('active');
+}
+
+async function confirmLicenseBatch() {
+    if (!requirePermission('licenses.issue')) return;
+    const payload = {
+        name: document.getElementById('license-batch-name').value.trim(),
+        product_tier: document.getElementById('license-batch-plan').value,
+        tier: document.getElementById('license-batch-period').value,
+        channel: document.getElementById('license-batch-channel').value,
+        quantity: parseInt(document.getElementById('license-batch-quantity').value, 10),
+        redeem_expires_at: document.getElementById('license-batch-expires').value || null,
+        note: document.getElementById('license-batch-note').value.trim()
+    };
+    if (!payload.name) {
+        showToast('請輸入批次名稱', 'error');
+        return;
+    }
+    if (!Number.isInteger(payload.quantity) || payload.quantity < 1 || payload.quantity > LICENSE_BATCH_MAX_QUANTITY) {
+        showToast(`產生數量需介於 1 到 ${LICENSE_BATCH_MAX_QUANTITY}`, 'error');
+        return;
+    }
+    if (payload.redeem_expires_at && getDaysUntil(payload.redeem_expires_at) < 0) {
+        showToast('兌換期限不可早於今天', 'error');
+        return;
+    }
+
     try {
-        const response = await adminFetch(`${API_BASE_URL}/admin/license-activations/${activationId}`, {
-            method: 'DELETE'
+        const response = await adminFetch(`${API_BASE_URL}/admin/license-batches`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
         });
-        
-        if (response.ok) {
-            showToast('授權記錄已刪除', 'success');
-            loadLicenseActivations(); // 重新載入列表
-        } else {
-            const error = await response.json();
-            showToast(error.error || '刪除失敗', 'error');
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showToast(result.error || '產生序號失敗', 'error');
+            return;
+        }
+        closeModal('license-batch-modal');
+        const batch = result.batch || { ...payload, id: result.batch_id };
+        if (result.keys?.length) {
+            exportLicenseKeys(batch, result.keys);
+        }
+        showToast(`已產生 ${payload.quantity} 組序號`, 'success');
+        loadLicenseBatches();
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('產生序號批次失敗:', error);
+        showToast('產生序號失敗，請稍後再試', 'error');
+    }
+}
+
+function exportLicenseKeys(batch, keys) {
+    const rows = keys.map(key => ({
+        license_key: key.key,
+        batch: batch.name || batch.id,
+        plan: batch.product_tier,
+        period: batch.tier,
+        channel: batch.channel,
+        status: key.status || 'unused',
+        redeemed_by: key.redeemed_by_email || '',
+        redeemed_at: key.redeemed_at || '',
+        redeem_expires_at: batch.redeem_expires_at || ''
+    }));
+    downloadCSV(`license-keys-${batch.id}-${new Date().toISOString().slice(0, 10)}.csv`, rows);
+}
+
+// 未使用的序號可直接兌換，匯出權限與產生/撤銷相同
+async function downloadLicenseBatchKeys(batchId) {
+    if (!requirePermission('licenses.issue')) return;
+    const batch = licenseBatches.find(item => String(item.id) === String(batchId));
+    if (!batch) return;
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/license-batches/${batch.id}/keys`);
+        const data = await response.json();
+        const keys = data.keys || [];
+        if (keys.length === 0) {
+            showToast('此批次沒有序號', 'info');
+            return;
+        }
+        exportLicenseKeys(batch, keys);
+        showToast(`已匯出 ${keys.length} 組序號`, 'success');
+    } catch (error) {
+        if (isHandledRequestError(error)) return;
+        console.error('下載序號失敗:', error);
+        showToast('下載序號失敗', 'error');
+    }
+}
+
+async function revokeUnusedLicenseKeys(batchId) {
+    if (!requirePermission('licenses.issue')) return;
+    const batch = licenseBatches.find(item => String(item.id) === String(batchId));
+    if (!batch) return;
+    const unused = getLicenseBatchUnusedCount(batch);
+
+    const note = prompt(`將撤銷「${getLicenseBatchLabel(batch)}」中 ${unused} 組未使用的序號，已兌換的序號不受影響。請輸入原因：`);
+    if (note === null) return;
+    if (!note.trim()) {
+        showToast('請輸入撤銷原因', 'error');
+        return;
+    }
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/admin/license-batches/${batch.id}/revoke`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ note: note.trim() })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showToast(result.error || '撤銷序號失敗', 'error');
+            return;
         }
+        const revokedCount = result.revoked_count ?? unused;
+        showToast(`已撤銷 ${revokedCount} 組未使用序號`, 'success');
+        loadLicenseBatches();
     } catch (error) {
-        console.error('刪除授權記錄失敗:', error);
-        showToast('刪除授權記錄失敗', 'error');
+        if (isHandledRequestError(error)) return;
+        console.error('撤銷序號失敗:', error);
+        showToast('撤銷序號失敗，請稍後再試', 'error');
     }
 }
 
+// ===== 全域搜尋（Ctrl+K） =====
+const COMMAND_PALETTE_GROUPS = {
+    user: { label: '用戶', icon: '👤' },
+    order: { label: '訂單', icon: '💳' },
+    license: { label: '授權記錄', icon: '🔑' },
+    script: { label: '腳本', icon: '📝' },
+    conversation: { label: '對話', icon: '💬' }
+};
+const COMMAND_PALETTE_LIMIT = 5; // 每類最多顯示筆數
+
+let commandPaletteResults = [];
+let commandPaletteIndex = 0;
+let commandPaletteTimer = null;
+let commandPaletteSeq = 0; // 只採用最後一次搜尋的結果
+
+function openCommandPalette() {
+    if (!getAdminToken()) return;
+    const palette = document.getElementById('command-palette');
+    const input = document.getElementById('command-palette-input');
+    if (!palette || !input) return;
+    
+    palette.classList.add('active');
+    input.value = '';
+    commandPaletteResults = [];
+    renderCommandPaletteResults('輸入 Email、姓名、用戶ID、訂單編號、授權碼、腳本標題或對話內容');
+    input.focus();
+}
+
+function closeCommandPalette() {
+    document.getElementById('command-palette')?.classList.remove('active');
+    clearTimeout(commandPaletteTimer);
+    commandPaletteSeq++;
+}
+
+function onCommandPaletteInput(value) {
+    clearTimeout(commandPaletteTimer);
+    const query = value.trim();
+    if (query.length < 2) {
+        commandPaletteSeq++;
+        commandPaletteResults = [];
+        renderCommandPaletteResults(query ? '請至少輸入 2 個字元' : '輸入 Email、姓名、用戶ID、訂單編號、授權碼、腳本標題或對話內容');
+        return;
+    }
+    commandPaletteTimer = setTimeout(() => runCommandPaletteSearch(query), 300);
+}
+
+// 擷取關鍵字前後的文字作為摘要
+function getSearchSnippet(text, query, radius = 30) {
+    const source = String(text || '');
+    const index = source.toLowerCase().indexOf(query.toLowerCase());
+    if (index === -1) return source.slice(0, radius * 2);
+    const start = Math.max(0, index - radius);
+    return `${start > 0 ? '…' : ''}${source.slice(start, index + query.length + radius)}${index + query.length + radius < source.length ? '…' : ''}`;
+}
+
+// 同時查詢各端點；單一端點失敗不影響其他類型的結果
+// 一律由後端以 search 參數比對，只取每類顯示的筆數，不在前端過濾大量資料
+async function runCommandPaletteSearch(query) {
+    const seq = ++commandPaletteSeq;
+    renderCommandPaletteResults('搜尋中...');
+    
+    const searchParams = new URLSearchParams({ search: query, page: 1, page_size: COMMAND_PALETTE_LIMIT });
+    const fetchJson = async path => {
+        const response = await cachedAdminFetch(`${API_BASE_URL}${path}?${searchParams}`, {}, true);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    };
+    
+    const searches = [
+        fetchJson('/admin/users').then(data =>
+            (data.users || []).map(user => ({
+                type: 'user',
+                title: user.name || user.email || user.user_id,
+                subtitle: [user.email, user.user_id].filter(Boolean).join('・'),
+                run: () => viewUser(user.user_id)
+            }))),
+        fetchJson('/admin/orders').then(data =>
+            (data.orders || []).map(order => ({
+                type: 'order',
+                title: order.order_id || order.id,
+                subtitle: `${order.user_email || order.user_name || '-'}・NT$${(order.amount || 0).toLocaleString()}・${order.payment_status === 'paid' ? '已付款' : '待付款'}`,
+                run: () => {
+                    // 訂單列表已分頁，先以訂單編號篩選確保該筆出現在列表中
+                    applyTabRouteParams('orders-list', new URLSearchParams({ search: order.order_id || order.id }));
+                    openRecordInTab('business-center', 'orders-list', order.order_id || order.id);
+                }
+            }))),
+        fetchJson('/admin/license-activations').then(data =>
+            (data.activations || []).map(activation => ({
+                type: 'license',
+                title: activation.email || activation.activation_token,
+                subtitle: `${activation.channel || '-'}・訂單 ${activation.order_id || '-'}・${activation.status || '-'}`,
+                run: () => openRecordInTab('business-center', 'licenses-list', activation.activation_token || activation.order_id)
+            }))),
+        fetchJson('/admin/scripts').then(data =>
+            (data.scripts || []).map(script => ({
+                type: 'script',
+                title: script.title || script.name || '未命名腳本',
+                subtitle: `${script.user_name || script.user_id || '-'}・${formatDate(script.created_at)}`,
+                run: () => showScriptDetail(script)
+            }))),
+        // 後端比對訊息內容，matched_message 為命中的訊息；沒有時退回摘要
+        fetchJson('/admin/conversations').then(data =>
+            (data.conversations || []).map(conv => ({
+                type: 'conversation',
+                title: `${conv.user_name || conv.user_id}・${getConversationTypeLabel(conv.conversation_type || conv.mode)}`,
+                subtitle: getSearchSnippet(conv.matched_message || conv.summary, query),
+                run: () => viewConversation(conv.user_id, conv.conversation_type || conv.mode, conv.mode)
+            })))
+    ];
+    
+    const settled = await Promise.allSettled(searches);
+    if (seq !== commandPaletteSeq) return;
+    
+    commandPaletteResults = settled.flatMap(result => result.status === 'fulfilled' ? result.value.slice(0, COMMAND_PALETTE_LIMIT) : []);
+    commandPaletteIndex = 0;
+    const failedCount = settled.filter(result => result.status === 'rejected' && !isHandledRequestError(result.reason)).length;
+    renderCommandPaletteResults(commandPaletteResults.length ? '' : '找不到符合的資料', failedCount);
+}
+
+function renderCommandPaletteResults(message = '', failedCount = 0) {
+    const list = document.getElementById('command-palette-results');
+    if (!list) return;
+    
+    let html = '';
+    let lastType = null;
+    commandPaletteResults.forEach((result, index) => {
+        const group = COMMAND_PALETTE_GROUPS[result.type];
+        if (result.type !== lastType) {
+            html += `<div class="command-palette-group">${group.icon} ${group.label}</div>`;
+            lastType = result.type;
+        }
+        html += `
+            <div class="command-palette-item ${index === commandPaletteIndex ? 'active' : ''}" onclick="runCommandPaletteResult(${index})" onmouseenter="setCommandPaletteIndex(${index})">
+                <div class="command-palette-title">${escapeHtml(String(result.title))}</div>
+                <div class="command-palette-subtitle">${escapeHtml(result.subtitle || '')}</div>
+            </div>
+        `;
+    });
+    if (message) {
+        html += `<div class="command-palette-empty">${escapeHtml(message)}</div>`;
+    }
+    if (failedCount > 0) {
+        html += `<div class="command-palette-empty" style="color: #ef4444;">⚠️ 有 ${failedCount} 類資料查詢失敗，結果可能不完整</div>`;
+    }
+    list.innerHTML = html;
+    list.querySelector('.command-palette-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+function setCommandPaletteIndex(index) {
+    commandPaletteIndex = index;
+    document.querySelectorAll('#command-palette-results .command-palette-item').forEach((item, i) => {
+        item.classList.toggle('active', i === index);
+    });
+}
+
+function runCommandPaletteResult(index) {
+    const result = commandPaletteResults[index];
+    if (!result) return;
+    closeCommandPalette();
+    result.run();
+}
+
+function handleCommandPaletteKey(event) {
+    const count = commandPaletteResults.length;
+    if (event.key === 'ArrowDown' && count) {
+        event.preventDefault();
+        setCommandPaletteIndex((commandPaletteIndex + 1) % count);
+        document.querySelector('#command-palette-results .command-palette-item.active')?.scrollIntoView({ block: 'nearest' });
+    } else if (event.key === 'ArrowUp' && count) {
+        event.preventDefault();
+        setCommandPaletteIndex((commandPaletteIndex - 1 + count) % count);
+        document.querySelector('#command-palette-results .command-palette-item.active')?.scrollIntoView({ block: 'nearest' });
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        runCommandPaletteResult(commandPaletteIndex);
+    }
+}
+
+// 切換到指定標籤頁，等列表載入後捲動並標示包含 text 的資料列
+function openRecordInTab(section, tabId, text) {
+    switchSection(section, tabId);
+    const startTime = Date.now();
+    const timer = setInterval(() => {
+        const panel = document.getElementById(`tab-${tabId}`);
+        const row = panel && [...panel.querySelectorAll('tbody tr, .mobile-card')].find(el => el.textContent.includes(text));
+        if (row) {
+            clearInterval(timer);
+            row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            row.classList.add('record-highlight');
+            setTimeout(() => row.classList.remove('record-highlight'), 3000);
+        } else if (Date.now() - startTime > 8000) {
+            clearInterval(timer);
+            showToast('已切換到列表，但目前列表中找不到該筆資料', 'info');
+        }
+    }, 200);
+}
+
+document.addEventListener('keydown', function(e) {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        openCommandPalette();
+    } else if (e.key === 'Escape' && document.getElementById('command-palette')?.classList.contains('active')) {
+        closeCommandPalette();
+    }
+});
+
 // ===== 右鍵選單功能 =====
 let contextMenu = null;
 let selectedCellText = '';